@@ -4,6 +4,8 @@
  * Build script using Bun's bundler to create:
  * - dist/reviews-embed.js (parent embed script with iframe-resizer)
  * - dist/iframe-resizer-child.js (child script for iframes)
+ * - dist/masonry.js (masonry layout for iframes)
+ * - dist/dates.js (client-side relative review dates for iframes)
  */
 
 import fs from "node:fs";
@@ -62,4 +64,19 @@ if (!masonryResult.success) {
 }
 console.log("Built dist/masonry.js");
 
+// Build relative date script (shares formatting with the renderer)
+const datesResult = await Bun.build({
+  entrypoints: [path.join(__dirname, "embed/dates.js")],
+  outdir: distDir,
+  naming: "dates.js",
+  minify: true,
+  target: "browser",
+});
+
+if (!datesResult.success) {
+  console.error("Dates build failed:", datesResult.logs);
+  process.exit(1);
+}
+console.log("Built dist/dates.js");
+
 console.log("Build complete!");
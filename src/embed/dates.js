@@ -0,0 +1,22 @@
+/**
+ * Client-side relative review dates.
+ *
+ * The renderer writes each date as <time datetime="..."> with a label
+ * computed at render time. That label is only a no-JS fallback: it goes
+ * stale between daily runs, so recompute it here against the visitor's
+ * clock, in the locale the renderer set on <html lang>. .review-meta has
+ * a fixed height, so changing the text can't shift the masonry layout.
+ */
+import { formatRelativeDate } from "../lib/relative-time.js";
+
+function updateRelativeDates() {
+  const now = new Date();
+  const locale = document.documentElement.lang || undefined;
+  for (const el of document.querySelectorAll("time.review-date[datetime]")) {
+    const date = new Date(el.getAttribute("datetime"));
+    if (Number.isNaN(date.getTime())) continue;
+    el.textContent = formatRelativeDate(date, now, locale);
+  }
+}
+
+updateRelativeDates();
@@ -12,10 +12,13 @@ import { layout, prepare } from "@chenglou/pretext";
 const GAP = 20;
 const MOBILE_BREAKPOINT = 601;
 
-// Match the font stack and sizing from iframe-layout.html
-const CONTENT_FONT =
-  '16px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, sans-serif';
-const CONTENT_LINE_HEIGHT = 25.6; // 16px * 1.6 (line-height: 1.6 on .review-content)
+// Defaults match the :root theme variables in iframe-layout.html. A
+// business theme can override them, so the live values are read back from
+// the custom properties before each layout (see readContentMetrics).
+const DEFAULT_FONT_FAMILY =
+  '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Oxygen, Ubuntu, Cantarell, sans-serif';
+const DEFAULT_FONT_SIZE = 16;
+const DEFAULT_LINE_HEIGHT = 1.6; // unitless, as on .review-content
 
 // Fixed heights for card chrome (header, padding, gaps)
 const CARD_PADDING = 20;
@@ -30,30 +33,118 @@ const CARD_CHROME_HEIGHT =
   CARD_PADDING +
   BORDER_WIDTH * 2; // top + bottom border
 
+// Review photo strip (.review-photos in iframe-layout.html)
+const PHOTOS_MARGIN_TOP = 12;
+const PHOTOS_HEIGHT = 64;
+
+// Owner reply block (.owner-response in iframe-layout.html)
+const OWNER_RESPONSE_MARGIN_TOP = 12;
+const OWNER_RESPONSE_SUMMARY_HEIGHT = 20;
+const OWNER_RESPONSE_CONTENT_MARGIN_TOP = 8;
+const OWNER_RESPONSE_INDENT = 15; // 12px padding + 3px border
+
+/**
+ * Resolve a line-height custom property to pixels. Unitless values are a
+ * multiple of the font size, "px" values are used as-is.
+ */
+function resolveLineHeight(value, fontSize) {
+  const parsed = Number.parseFloat(value);
+  if (!parsed) return fontSize * DEFAULT_LINE_HEIGHT;
+  return value.trim().endsWith("px") ? parsed : fontSize * parsed;
+}
+
+/**
+ * Read the content font and line-height from the theme custom properties.
+ * This is a style lookup only -- it does not force a layout.
+ */
+function readContentMetrics() {
+  const style = getComputedStyle(document.documentElement);
+  const family =
+    style.getPropertyValue("--font-family").trim() || DEFAULT_FONT_FAMILY;
+  const fontSize =
+    Number.parseFloat(style.getPropertyValue("--font-size")) ||
+    DEFAULT_FONT_SIZE;
+
+  return {
+    font: `${fontSize}px ${family}`,
+    lineHeight: resolveLineHeight(
+      style.getPropertyValue("--line-height"),
+      fontSize,
+    ),
+  };
+}
+
 /**
  * Predict text height using pretext font metrics.
  * Ported from pretext-masonry/src/heightPredictor.ts
  */
-function predictTextHeight(text, contentWidth) {
-  const prepared = prepare(text, CONTENT_FONT);
-  const result = layout(prepared, contentWidth, CONTENT_LINE_HEIGHT);
+function predictTextHeight(text, contentWidth, metrics) {
+  const prepared = prepare(text, metrics.font);
+  const result = layout(prepared, contentWidth, metrics.lineHeight);
   return result.height;
 }
 
 /**
- * Predict a single card's height using pretext font metrics.
+ * Predict the height of an owner reply block. Collapsed it is just the
+ * summary line; open it adds the reply text at the review font.
+ */
+function predictOwnerResponseHeight(response, contentWidth, metrics) {
+  let height = OWNER_RESPONSE_MARGIN_TOP + OWNER_RESPONSE_SUMMARY_HEIGHT;
+
+  if (response.open && response.text.trim()) {
+    height +=
+      OWNER_RESPONSE_CONTENT_MARGIN_TOP +
+      predictTextHeight(
+        response.text,
+        contentWidth - OWNER_RESPONSE_INDENT,
+        metrics,
+      );
+  }
+
+  return height;
+}
+
+/**
+ * Predict a single card's height using pretext font metrics. `extras`
+ * flags the optional photo strip and owner reply below the text.
  */
-function predictCardHeight(textContent, availableWidth) {
-  const contentWidth = availableWidth - CARD_PADDING_SIDE * 2 - BORDER_WIDTH * 2; // left + right border
+function predictCardHeight(textContent, availableWidth, metrics, extras = {}) {
+  const contentWidth =
+    availableWidth - CARD_PADDING_SIDE * 2 - BORDER_WIDTH * 2; // left + right border
   let totalHeight = CARD_CHROME_HEIGHT;
 
   if (textContent?.trim()) {
-    totalHeight += predictTextHeight(textContent, contentWidth);
+    totalHeight += predictTextHeight(textContent, contentWidth, metrics);
+  }
+
+  if (extras.hasPhotos) {
+    totalHeight += PHOTOS_MARGIN_TOP + PHOTOS_HEIGHT;
+  }
+
+  if (extras.response) {
+    totalHeight += predictOwnerResponseHeight(
+      extras.response,
+      contentWidth,
+      metrics,
+    );
   }
 
   return totalHeight;
 }
 
+/**
+ * Read a card's owner reply state, or null if it has none.
+ */
+function readOwnerResponse(card) {
+  const details = card.querySelector(".owner-response");
+  if (!details) return null;
+  const contentEl = details.querySelector(".owner-response-content");
+  return {
+    open: details.open,
+    text: contentEl ? contentEl.textContent || "" : "",
+  };
+}
+
 /**
  * Find the index of the shortest column.
  */
@@ -108,10 +199,14 @@ function layoutMasonry() {
   const colWidth = (containerWidth - GAP * (colCount - 1)) / colCount;
 
   // Predict all card heights using pretext -- zero DOM measurement
+  const metrics = readContentMetrics();
   const heights = Array.from(cards, (card) => {
     const contentEl = card.querySelector(".review-content");
     const text = contentEl ? contentEl.textContent || "" : "";
-    return predictCardHeight(text, colWidth);
+    return predictCardHeight(text, colWidth, metrics, {
+      hasPhotos: Boolean(card.querySelector(".review-photos")),
+      response: readOwnerResponse(card),
+    });
   });
 
   const result = computeMasonryLayout(heights, colCount, colWidth, GAP);
@@ -129,6 +224,10 @@ function layoutMasonry() {
 // Run layout once DOM is ready
 layoutMasonry();
 
+// Opening or closing an owner reply changes that card's height. "toggle"
+// doesn't bubble, so listen in the capture phase.
+document.addEventListener("toggle", layoutMasonry, true);
+
 // Debounced re-layout on resize
 let resizeTimer;
 window.addEventListener("resize", () => {
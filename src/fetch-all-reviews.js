@@ -0,0 +1,62 @@
+#!/usr/bin/env bun
+
+/**
+ * Run every platform's fetcher at once in a single process. Each fetcher
+ * still fetches at most CONFIG.fetchConcurrency businesses at a time, and
+ * together they stay within CONFIG.globalFetchConcurrency. Each writes its
+ * own fetch state back to config.json as it finishes.
+ *
+ * Takes the same slug, --dry-run, --replay, --concurrency and
+ * --global-concurrency arguments as the individual fetchers, plus --source
+ * to run just one platform.
+ *
+ *   bun src/fetch-all-reviews.js [slug] [--source google] [--dry-run] [--replay]
+ */
+
+import { parseArgs } from "node:util";
+import { main as fetchCheckatrade } from "./fetch-checkatrade-reviews.js";
+import { main as fetchFacebook } from "./fetch-facebook-reviews.js";
+import { main as fetchGoogle } from "./fetch-google-reviews.js";
+import { main as fetchTripadvisor } from "./fetch-tripadvisor-reviews.js";
+import { main as fetchTrustpilot } from "./fetch-trustpilot-reviews.js";
+import { main as fetchYelp } from "./fetch-yelp-reviews.js";
+
+const FETCHERS = {
+  google: fetchGoogle,
+  facebook: fetchFacebook,
+  trustpilot: fetchTrustpilot,
+  yelp: fetchYelp,
+  tripadvisor: fetchTripadvisor,
+  checkatrade: fetchCheckatrade,
+};
+
+// The fetchers to run for a --source value
+// Exported for testing
+export const selectFetchers = (source = "all") => {
+  if (source === "all") return Object.values(FETCHERS);
+  if (!Object.hasOwn(FETCHERS, source)) {
+    throw new Error(
+      `Unknown source "${source}": use all, ${Object.keys(FETCHERS).join(", ")}`,
+    );
+  }
+  return [FETCHERS[source]];
+};
+
+// Exported for testing
+export const main = async () => {
+  const { values } = parseArgs({
+    allowPositionals: true,
+    strict: false,
+    options: { source: { type: "string" } },
+  });
+
+  try {
+    await Promise.all(selectFetchers(values.source).map((fetch) => fetch()));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
@@ -0,0 +1,77 @@
+#!/usr/bin/env bun
+
+import {
+  buildOwnerResponse,
+  buildTitledContent,
+  createApifyFetcher,
+  createReviewFetcher,
+  loadEnv,
+} from "./lib/shared.js";
+
+loadEnv();
+
+const CHECKATRADE_ACTOR_ID = "dtrungtin~checkatrade-scraper";
+
+// Checkatrade scores out of 10; everything else here is out of 5
+const CHECKATRADE_SCALE = 10;
+
+// Sub-scores Checkatrade asks reviewers for, in display order
+const SUB_RATINGS = ["workmanship", "tidiness", "reliability", "courtesy"];
+
+// Convert a 0-10 score to 0-5, to one decimal place. Null if not a number.
+// Exported for testing
+export const normaliseScore = (score) => {
+  const value = Number.parseFloat(score);
+  if (Number.isNaN(value)) return null;
+  return Math.round((value / CHECKATRADE_SCALE) * 5 * 10) / 10;
+};
+
+// Pick the known sub-scores out of the raw `scores` object, normalised to 5.
+// Null when the review has none, so the field is left out of the JSON.
+// Exported for testing
+export const normaliseSubRatings = (scores) => {
+  const subRatings = {};
+  for (const key of SUB_RATINGS) {
+    const value = normaliseScore(scores?.[key]);
+    if (value !== null) subRatings[key] = value;
+  }
+  return Object.keys(subRatings).length > 0 ? subRatings : null;
+};
+
+// Transform raw review data to normalized format
+// Exported for testing
+export const normalizeCheckatradeReview = (review) => {
+  const reply = review.reply || {};
+  return {
+    content: buildTitledContent(review.title, review.text),
+    date: review.date ? new Date(review.date) : new Date(),
+    rating: normaliseScore(review.score) || 0,
+    // Checkatrade reviewers have no public profile or avatar
+    author: review.reviewerName || "Anonymous",
+    authorUrl: review.url || "",
+    photoUrl: "",
+    userId: null,
+    reviewId: review.id ? String(review.id) : null,
+    imageUrls: [],
+    ownerResponse: buildOwnerResponse(reply.text, reply.date),
+    subRatings: normaliseSubRatings(review.scores),
+  };
+};
+
+// Create fetcher using shared helper
+const fetchReviews = createApifyFetcher(
+  CHECKATRADE_ACTOR_ID,
+  "checkatrade_url",
+  normalizeCheckatradeReview,
+);
+
+// Create and run the fetcher (exported for fetch-all-reviews.js)
+export const main = createReviewFetcher({
+  platformField: "checkatrade_url",
+  source: "checkatrade",
+  envTokenName: "APIFY_API_TOKEN",
+  fetchReviews,
+});
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
@@ -1,8 +1,10 @@
 #!/usr/bin/env bun
 
 import {
+  buildOwnerResponse,
   createApifyFetcher,
   createReviewFetcher,
+  extractFacebookPostId,
   loadEnv,
 } from "./lib/shared.js";
 
@@ -31,7 +33,12 @@ export const normalizeFacebookReview = (review) => {
     authorUrl: review.url || user.profileUrl || "",
     photoUrl: user.profilePic || "",
     userId: extractFacebookUserId(user),
+    reviewId: extractFacebookPostId(review.url),
     isRecommended: review.isRecommended,
+    ownerResponse: buildOwnerResponse(
+      review.pageResponse?.text,
+      review.pageResponse?.date,
+    ),
   };
 };
 
@@ -42,12 +49,13 @@ const fetchReviews = createApifyFetcher(
   normalizeFacebookReview,
 );
 
-// Create and run the fetcher
-const main = createReviewFetcher({
+// Create and run the fetcher (exported for fetch-all-reviews.js)
+export const main = createReviewFetcher({
   platformField: "facebook_page_url",
   source: "facebook",
   envTokenName: "APIFY_API_TOKEN",
   fetchReviews,
+  incremental: true,
 });
 
 // Only run when executed directly (using && for single-line coverage)
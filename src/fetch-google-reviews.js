@@ -1,10 +1,10 @@
 #!/usr/bin/env bun
 
 import {
+  buildOwnerResponse,
   CONFIG,
   createReviewFetcher,
   extractGoogleUserId,
-  fetchApiArray,
   filter,
   flatMap,
   getLatestReviewDate,
@@ -12,11 +12,11 @@ import {
   loadEnv,
   map,
   pipe,
+  runApifyActor,
 } from "./lib/shared.js";
 
 loadEnv();
 
-const APIFY_API_TOKEN = process.env.APIFY_API_TOKEN;
 const GOOGLE_ACTOR_ID = "nwua9Gu5YrADL7ZDj";
 
 // Transform raw review data to normalized format
@@ -37,6 +37,12 @@ export const normalizeGoogleReview = (review) => {
       review.reviewerAvatar ||
       "",
     userId: extractGoogleUserId(authorUrl),
+    reviewId: review.reviewId || null,
+    imageUrls: review.reviewImageUrls || [],
+    ownerResponse: buildOwnerResponse(
+      review.responseFromOwnerText,
+      review.responseFromOwnerDate,
+    ),
   };
 };
 
@@ -51,7 +57,6 @@ export const extractReviewsFromItem = (item) => item.reviews || [];
 
 // Exported for testing
 export async function fetchReviews(business, options = {}) {
-  const url = `https://api.apify.com/v2/acts/${GOOGLE_ACTOR_ID}/run-sync-get-dataset-items?token=${APIFY_API_TOKEN}`;
   const data = {
     startUrls: [{ url: buildGoogleMapsUrl(business.google_business_id) }],
     maxReviews: options.maxReviews || CONFIG.maxReviews,
@@ -62,7 +67,9 @@ export async function fetchReviews(business, options = {}) {
     }),
   };
 
-  const results = await fetchApiArray(url, data);
+  const results = await runApifyActor(GOOGLE_ACTOR_ID, data, business, options);
+  // An async run still in progress
+  if (results === null) return null;
 
   return pipe(
     flatMap(extractReviewsFromItem),
@@ -71,13 +78,15 @@ export async function fetchReviews(business, options = {}) {
   )(results);
 }
 
-// Create and run the fetcher
-const main = createReviewFetcher({
+// Create and run the fetcher (exported for fetch-all-reviews.js)
+export const main = createReviewFetcher({
   platformField: "google_business_id",
   source: "google",
   envTokenName: "APIFY_API_TOKEN",
   fetchReviews,
-  getStartDate: getLatestReviewDate,
+  // Only Google's own reviews count, so a fresh review on another platform
+  // can't move the start date past unseen Google ones
+  getStartDate: (businessDir) => getLatestReviewDate(businessDir, "google"),
 });
 
 // Only run when executed directly (using && for single-line coverage)
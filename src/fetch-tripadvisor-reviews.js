@@ -0,0 +1,69 @@
+#!/usr/bin/env bun
+
+import {
+  buildOwnerResponse,
+  buildTitledContent,
+  createApifyFetcher,
+  createReviewFetcher,
+  loadEnv,
+} from "./lib/shared.js";
+
+loadEnv();
+
+const TRIPADVISOR_ACTOR_ID = "maxcopell~tripadvisor-reviews";
+
+// Create a stable user ID from Tripadvisor user data
+// Exported for testing
+export const extractTripadvisorUserId = (user) =>
+  user?.userId ? `ta-${user.userId}` : null;
+
+// Trip types as Tripadvisor reports them; "NONE" and anything unknown
+// are dropped
+const TRIP_TYPES = ["BUSINESS", "COUPLES", "FAMILY", "FRIENDS", "SOLO"];
+
+// Exported for testing
+export const normalizeTripType = (tripType) => {
+  const upper = String(tripType || "").toUpperCase();
+  return TRIP_TYPES.includes(upper) ? upper.toLowerCase() : null;
+};
+
+// Transform raw review data to normalized format
+// Exported for testing
+export const normalizeTripadvisorReview = (review) => {
+  const user = review.user || {};
+  const response = review.ownerResponse || {};
+  return {
+    content: buildTitledContent(review.title, review.text),
+    date: review.publishedDate ? new Date(review.publishedDate) : new Date(),
+    // Bubble ratings are whole numbers from 1 to 5, same scale as stars
+    rating: Number(review.rating) || 0,
+    author: user.name || user.username || "Anonymous",
+    authorUrl: review.url || "",
+    photoUrl: user.avatar?.image || "",
+    userId: extractTripadvisorUserId(user),
+    reviewId: review.id ? String(review.id) : null,
+    imageUrls: (review.photos || [])
+      .map((photo) => photo.image)
+      .filter(Boolean),
+    ownerResponse: buildOwnerResponse(response.text, response.publishedDate),
+    tripType: normalizeTripType(review.tripType),
+  };
+};
+
+// Create fetcher using shared helper
+const fetchReviews = createApifyFetcher(
+  TRIPADVISOR_ACTOR_ID,
+  "tripadvisor_url",
+  normalizeTripadvisorReview,
+);
+
+// Create and run the fetcher (exported for fetch-all-reviews.js)
+export const main = createReviewFetcher({
+  platformField: "tripadvisor_url",
+  source: "tripadvisor",
+  envTokenName: "APIFY_API_TOKEN",
+  fetchReviews,
+});
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
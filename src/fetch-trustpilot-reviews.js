@@ -1,6 +1,8 @@
 #!/usr/bin/env bun
 
 import {
+  buildOwnerResponse,
+  buildTitledContent,
   createApifyFetcher,
   createReviewFetcher,
   loadEnv,
@@ -15,43 +17,9 @@ const TRUSTPILOT_ACTOR_ID = "4AQb7n4pXPxFQQ2w5";
 export const extractTrustpilotUserId = (review) =>
   review.reviewId ? `tp-${review.reviewId}` : null;
 
-// Check if title should be stripped (body already contains it or is a truncated version)
-const shouldStripTitle = (title, body) => {
-  const lowerBody = body.toLowerCase();
-  const lowerTitle = title.toLowerCase();
-
-  // Exact match - body starts with full title
-  if (lowerBody.startsWith(lowerTitle)) return true;
-
-  // Title was truncated with ellipsis, body contains the full text
-  const ellipsisMatch = title.match(/^(.+?)(\.{3}|…\.?)$/);
-  if (ellipsisMatch) {
-    const titlePrefix = ellipsisMatch[1].trim().toLowerCase();
-    if (lowerBody.startsWith(titlePrefix)) return true;
-  }
-
-  return false;
-};
-
 // Combine title and text, handling duplication and ellipsis truncation
 // Exported for testing
-export const buildTrustpilotContent = (reviewTitle, reviewText) => {
-  const body = reviewText || "";
-
-  if (!reviewTitle) return body;
-
-  let title = reviewTitle.trim();
-
-  if (shouldStripTitle(title, body)) return body;
-
-  // Add period to title if it doesn't end with sentence punctuation
-  if (!/[.!?]$/.test(title)) {
-    title = `${title}.`;
-  }
-
-  // Return just title if body is empty
-  return body ? `${title}\n\n${body}` : title;
-};
+export const buildTrustpilotContent = buildTitledContent;
 
 // Transform raw review data to normalized format
 // Exported for testing
@@ -63,7 +31,9 @@ export const normalizeTrustpilotReview = (review) => ({
   authorUrl: review.url || "",
   photoUrl: review.avatar || "",
   userId: extractTrustpilotUserId(review),
+  reviewId: review.reviewId || null,
   reviewTitle: review.reviewTitle || null,
+  ownerResponse: buildOwnerResponse(review.replyText, review.replyDate),
 });
 
 // Create fetcher using shared helper
@@ -73,12 +43,13 @@ const fetchReviews = createApifyFetcher(
   normalizeTrustpilotReview,
 );
 
-// Create and run the fetcher
-const main = createReviewFetcher({
+// Create and run the fetcher (exported for fetch-all-reviews.js)
+export const main = createReviewFetcher({
   platformField: "trustpilot_url",
   source: "trustpilot",
   envTokenName: "APIFY_API_TOKEN",
   fetchReviews,
+  incremental: true,
 });
 
 // Only run when executed directly (using && for single-line coverage)
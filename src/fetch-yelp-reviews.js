@@ -0,0 +1,57 @@
+#!/usr/bin/env bun
+
+import {
+  buildOwnerResponse,
+  createApifyFetcher,
+  createReviewFetcher,
+  loadEnv,
+} from "./lib/shared.js";
+
+loadEnv();
+
+const YELP_ACTOR_ID = "tri_angle~yelp-review-scraper";
+
+// Create a stable user ID from a Yelp profile URL (user_details?userid=...)
+// Exported for testing
+export const extractYelpUserId = (userUrl) => {
+  if (!userUrl) return null;
+  const match = userUrl.match(/[?&]userid=([^&#]+)/);
+  return match ? `yelp-${match[1]}` : null;
+};
+
+// Transform raw review data to normalized format
+// Exported for testing
+export const normalizeYelpReview = (review) => {
+  const authorUrl = review.userUrl || review.authorUrl || "";
+  const response = review.businessResponse || review.ownerResponse || {};
+  return {
+    content: review.text || review.reviewText || "",
+    date: review.date ? new Date(review.date) : new Date(),
+    rating: Number(review.rating) || 0,
+    author: review.userName || review.authorName || "Anonymous",
+    authorUrl: authorUrl,
+    photoUrl: review.userPhotoUrl || review.authorPhotoUrl || "",
+    userId: extractYelpUserId(authorUrl),
+    reviewId: review.reviewId || review.id || null,
+    imageUrls: review.photoUrls || [],
+    ownerResponse: buildOwnerResponse(response.text, response.date),
+  };
+};
+
+// Create fetcher using shared helper
+const fetchReviews = createApifyFetcher(
+  YELP_ACTOR_ID,
+  "yelp_url",
+  normalizeYelpReview,
+);
+
+// Create and run the fetcher (exported for fetch-all-reviews.js)
+export const main = createReviewFetcher({
+  platformField: "yelp_url",
+  source: "yelp",
+  envTokenName: "APIFY_API_TOKEN",
+  fetchReviews,
+});
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
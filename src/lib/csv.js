@@ -0,0 +1,67 @@
+/**
+ * Minimal RFC 4180 CSV reader for review imports.
+ *
+ * Handles quoted fields with embedded commas, quotes ("") and newlines,
+ * CRLF line endings and a leading byte order mark, which covers what
+ * spreadsheet exports produce. The first row is the header.
+ */
+
+// Split CSV text into rows of raw field strings
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const isBlankRow = (row) => row.every((field) => field.trim() === "");
+
+/**
+ * Parse CSV text into one object per data row, keyed by the (trimmed)
+ * header names. Blank lines are skipped; missing trailing fields are "".
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text.replace(/^﻿/, "")).filter(
+    (row) => !isBlankRow(row),
+  );
+  if (!header) return [];
+  const columns = header.map((name) => name.trim());
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((name, i) => [name, row[i] ?? ""])),
+  );
+};
+
+export { parseCsv };
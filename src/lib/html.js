@@ -0,0 +1,54 @@
+/**
+ * HTML escaping helpers for the iframe renderer.
+ *
+ * Everything we render comes from scraped third-party review data and ends
+ * up inside every customer site that embeds us, so no review field should
+ * reach the template without passing through one of these.
+ */
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape a value for use as HTML text content.
+ * null/undefined become an empty string.
+ */
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Escape a value for use inside a quoted attribute.
+ * Both quote styles are escaped so it is safe in either.
+ */
+const escapeAttr = (value) => escapeHtml(value);
+
+// Schemes we are happy to link to from a review card
+const SAFE_URL_PROTOCOLS = ["http:", "https:"];
+
+/**
+ * Return the URL if it is an absolute http(s) URL, otherwise an empty string.
+ * Blocks javascript:, data:, vbscript: and anything unparseable.
+ */
+const safeUrl = (url) => {
+  if (!url) return "";
+  try {
+    const parsed = new URL(String(url).trim());
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : "";
+  } catch (_e) {
+    return "";
+  }
+};
+
+/**
+ * Serialise a value as JSON that is safe to inline in a <script> element.
+ * Escaping "<" stops review text from closing the script early.
+ */
+const jsonForScript = (value) =>
+  JSON.stringify(value, null, 2).replace(/</g, "\\u003c");
+
+export { escapeAttr, escapeHtml, jsonForScript, safeUrl };
@@ -0,0 +1,161 @@
+/**
+ * UI strings and locale helpers for the rendered iframe.
+ *
+ * Lookups fall back from the full locale ("fr-CA") to its language ("fr")
+ * and then to English, so a partial translation never renders a blank.
+ * Browser-safe: src/embed/dates.js pulls this in via relative-time.js.
+ */
+
+const DEFAULT_LOCALE = "en";
+
+// Languages written right-to-left, for the template's dir attribute
+const RTL_LANGUAGES = ["ar", "fa", "he", "ur"];
+
+// Plural entries are keyed by Intl.PluralRules category, with "other" as
+// the fallback. Placeholders are {name}.
+const STRINGS = {
+  en: {
+    title: "Reviews",
+    noReviews: "No reviews available.",
+    recommends: "Recommends",
+    notRecommends: "Does not recommend",
+    reviewCount: { one: "{count} review", other: "{count} reviews" },
+    averageFrom: "{average} from {reviews}",
+    recommendCount: "{recommends} of {count} recommend",
+    ownerResponse: "Response from the owner",
+    reviewPhoto: "Photo from the review",
+    tripBusiness: "Business trip",
+    tripCouples: "Travelled as a couple",
+    tripFamily: "Travelled with family",
+    tripFriends: "Travelled with friends",
+    tripSolo: "Travelled solo",
+    subRatingWorkmanship: "Workmanship",
+    subRatingTidiness: "Tidiness",
+    subRatingReliability: "Reliability",
+    subRatingCourtesy: "Courtesy",
+  },
+  de: {
+    title: "Bewertungen",
+    noReviews: "Keine Bewertungen verfügbar.",
+    recommends: "Empfiehlt",
+    notRecommends: "Empfiehlt nicht",
+    reviewCount: { one: "{count} Bewertung", other: "{count} Bewertungen" },
+    averageFrom: "{average} aus {reviews}",
+    recommendCount: "{recommends} von {count} empfehlen",
+    ownerResponse: "Antwort des Inhabers",
+    reviewPhoto: "Foto aus der Bewertung",
+    tripBusiness: "Geschäftsreise",
+    tripCouples: "Als Paar gereist",
+    tripFamily: "Mit Familie gereist",
+    tripFriends: "Mit Freunden gereist",
+    tripSolo: "Allein gereist",
+    subRatingWorkmanship: "Ausführung",
+    subRatingTidiness: "Sauberkeit",
+    subRatingReliability: "Zuverlässigkeit",
+    subRatingCourtesy: "Höflichkeit",
+  },
+  es: {
+    title: "Reseñas",
+    noReviews: "No hay reseñas disponibles.",
+    recommends: "Recomienda",
+    notRecommends: "No recomienda",
+    reviewCount: { one: "{count} reseña", other: "{count} reseñas" },
+    averageFrom: "{average} según {reviews}",
+    recommendCount: "{recommends} de {count} recomiendan",
+    ownerResponse: "Respuesta del propietario",
+    reviewPhoto: "Foto de la reseña",
+    tripBusiness: "Viaje de negocios",
+    tripCouples: "Viajó en pareja",
+    tripFamily: "Viajó en familia",
+    tripFriends: "Viajó con amigos",
+    tripSolo: "Viajó solo",
+    subRatingWorkmanship: "Calidad del trabajo",
+    subRatingTidiness: "Limpieza",
+    subRatingReliability: "Fiabilidad",
+    subRatingCourtesy: "Cortesía",
+  },
+  fr: {
+    title: "Avis",
+    noReviews: "Aucun avis disponible.",
+    recommends: "Recommande",
+    notRecommends: "Ne recommande pas",
+    reviewCount: { one: "{count} avis", other: "{count} avis" },
+    averageFrom: "{average} d'après {reviews}",
+    recommendCount: "{recommends} sur {count} recommandent",
+    ownerResponse: "Réponse du propriétaire",
+    reviewPhoto: "Photo de l'avis",
+    tripBusiness: "Voyage d'affaires",
+    tripCouples: "A voyagé en couple",
+    tripFamily: "A voyagé en famille",
+    tripFriends: "A voyagé entre amis",
+    tripSolo: "A voyagé seul",
+    subRatingWorkmanship: "Qualité du travail",
+    subRatingTidiness: "Propreté",
+    subRatingReliability: "Fiabilité",
+    subRatingCourtesy: "Courtoisie",
+  },
+  nl: {
+    title: "Beoordelingen",
+    noReviews: "Geen beoordelingen beschikbaar.",
+    recommends: "Beveelt aan",
+    notRecommends: "Beveelt niet aan",
+    reviewCount: { one: "{count} beoordeling", other: "{count} beoordelingen" },
+    averageFrom: "{average} uit {reviews}",
+    recommendCount: "{recommends} van {count} bevelen aan",
+    ownerResponse: "Reactie van de eigenaar",
+    reviewPhoto: "Foto bij de beoordeling",
+    tripBusiness: "Zakenreis",
+    tripCouples: "Gereisd als stel",
+    tripFamily: "Gereisd met gezin",
+    tripFriends: "Gereisd met vrienden",
+    tripSolo: "Alleen gereist",
+    subRatingWorkmanship: "Vakmanschap",
+    subRatingTidiness: "Netheid",
+    subRatingReliability: "Betrouwbaarheid",
+    subRatingCourtesy: "Beleefdheid",
+  },
+};
+
+const getLanguage = (locale) => locale.split("-")[0].toLowerCase();
+
+/**
+ * Canonicalise a configured locale, falling back to English if it is
+ * missing or not a valid BCP 47 tag.
+ */
+const resolveLocale = (locale) => {
+  if (!locale) return DEFAULT_LOCALE;
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  } catch (_e) {
+    console.warn(`Ignoring invalid locale: ${locale}`);
+    return DEFAULT_LOCALE;
+  }
+};
+
+const textDirection = (locale) =>
+  RTL_LANGUAGES.includes(getLanguage(locale)) ? "rtl" : "ltr";
+
+const findEntry = (locale, key) =>
+  STRINGS[locale]?.[key] ??
+  STRINGS[getLanguage(locale)]?.[key] ??
+  STRINGS[DEFAULT_LOCALE][key];
+
+const selectPlural = (entry, locale, count) =>
+  entry[new Intl.PluralRules(locale).select(count)] ?? entry.other;
+
+/**
+ * Look up a UI string for a locale and fill in its {placeholders}.
+ * Plural entries are chosen using params.count.
+ */
+const translate = (locale, key, params = {}) => {
+  const entry = findEntry(locale, key);
+  const template =
+    typeof entry === "object"
+      ? selectPlural(entry, locale, params.count ?? 0)
+      : entry;
+  return template.replace(/\{(\w+)\}/g, (_, name) =>
+    String(params[name] ?? ""),
+  );
+};
+
+export { DEFAULT_LOCALE, resolveLocale, textDirection, translate };
@@ -0,0 +1,62 @@
+/**
+ * Relative review dates ("3 weeks ago").
+ *
+ * Shared by the renderer, which bakes a label into the HTML as the no-JS
+ * fallback, and by src/embed/dates.js, which recomputes it in the browser
+ * so pages don't go stale between renders. Must stay browser-safe.
+ */
+import { DEFAULT_LOCALE } from "./i18n.js";
+
+const daysBetween = (date1, date2) =>
+  Math.ceil(Math.abs(date2 - date1) / (1000 * 60 * 60 * 24));
+
+// Largest unit whose threshold (in days) the difference falls within;
+// anything beyond the last threshold is shown in years.
+const RELATIVE_UNITS = [
+  { threshold: 7, unit: "day", days: 1 },
+  { threshold: 30, unit: "week", days: 7 },
+  { threshold: 365, unit: "month", days: 30 },
+];
+const YEAR_UNIT = { unit: "year", days: 365 };
+
+// Formatters are cached per locale - a big business renders thousands of dates.
+// Days use numeric "auto" for "today"/"yesterday"; longer units stay numeric
+// so a week-old review reads "1 week ago" rather than "last week".
+const formatters = new Map();
+const getFormatters = (locale) => {
+  if (!formatters.has(locale)) {
+    formatters.set(locale, {
+      day: new Intl.RelativeTimeFormat(locale, { numeric: "auto" }),
+      other: new Intl.RelativeTimeFormat(locale, { numeric: "always" }),
+    });
+  }
+  return formatters.get(locale);
+};
+
+const capitalise = (text, locale) =>
+  text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+
+const formatRelativeTime = (diffDays, locale = DEFAULT_LOCALE) => {
+  const { unit, days } =
+    RELATIVE_UNITS.find((u) => diffDays <= u.threshold) || YEAR_UNIT;
+  const formatter = getFormatters(locale)[unit === "day" ? "day" : "other"];
+  return capitalise(
+    formatter.format(-Math.floor(diffDays / days), unit),
+    locale,
+  );
+};
+
+/**
+ * Relative label for a review date, measured from `now`.
+ * Returns an empty string for dates that don't parse.
+ */
+const formatRelativeDate = (
+  date,
+  now = new Date(),
+  locale = DEFAULT_LOCALE,
+) => {
+  const diffDays = daysBetween(new Date(date), now);
+  return Number.isNaN(diffDays) ? "" : formatRelativeTime(diffDays, locale);
+};
+
+export { daysBetween, formatRelativeDate, formatRelativeTime };
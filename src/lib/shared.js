@@ -1,9 +1,11 @@
 import { execSync } from "node:child_process";
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import http from "node:http";
 import https from "node:https";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
 import sharp from "sharp";
 import {
   compact,
@@ -13,6 +15,7 @@ import {
   pipe,
   reduce,
 } from "#toolkit/fp/index.js";
+import { validateConfig } from "./validate.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.join(__dirname, "..", "..");
@@ -21,7 +24,41 @@ const CONFIG = {
   configPath: path.join(rootDir, "config.json"),
   reviewsDir: path.join(rootDir, "data"),
   imagesDir: path.join(rootDir, "images", "reviewers"),
+  reviewPhotosDir: path.join(rootDir, "images", "reviews"),
+  rawDir: path.join(rootDir, "raw"),
   maxReviews: 9999,
+  maxReviewPhotos: 4,
+  apifyApiUrl: "https://api.apify.com/v2",
+  // Async runs (apify_async): the poll interval backs off from apifyPollMs
+  // to apifyMaxPollMs, and a run still going after apifyMaxWaitMs is left
+  // for the next invocation to resume. Datasets are read a page at a time.
+  apifyPollMs: 5000,
+  apifyMaxPollMs: 60000,
+  apifyMaxWaitMs: 45 * 60 * 1000,
+  apifyPageSize: 1000,
+  // API requests are tried up to apiMaxAttempts times. Retries back off
+  // from apiRetryBaseMs, doubling up to apiRetryMaxMs; a Retry-After
+  // longer than apiRetryMaxMs isn't waited for.
+  apiMaxAttempts: 4,
+  apiRetryBaseMs: 2000,
+  apiRetryMaxMs: 60000,
+  // Businesses fetched at once by each platform's fetcher, and in total
+  // when fetchers share a process (fetch-all-reviews.js). The fetchers'
+  // --concurrency and --global-concurrency flags override these.
+  fetchConcurrency: 3,
+  globalFetchConcurrency: 6,
+  // Incremental fetches ask for this many of the newest reviews; a full
+  // fetch still runs every fullResyncDays (or a business's full_resync_days)
+  incrementalMaxReviews: 100,
+  fullResyncDays: 30,
+};
+
+// Downloaded image kinds: the CONFIG directory each is saved to, the public
+// path it is served from, and its 1x square size (a 2x copy is saved too).
+// The review photo size must match .review-photo in iframe-layout.html.
+const IMAGE_KINDS = {
+  avatar: { dirKey: "imagesDir", publicPath: "/images/reviewers", size: 48 },
+  photo: { dirKey: "reviewPhotosDir", publicPath: "/images/reviews", size: 64 },
 };
 
 // Load environment variables from .env file
@@ -40,23 +77,26 @@ function loadEnv() {
 
 // Download image using curl and process with sharp
 // Returns false on any failure (curl or sharp)
-async function downloadImageWithCurl(url, filepath1x, filepath2x) {
+async function downloadImageWithCurl(url, filepath1x, filepath2x, size) {
   const result = execSync(`curl -s -L -f --max-time 30 "${url}"`, {
     encoding: "buffer",
     maxBuffer: 10 * 1024 * 1024,
   });
   const buffer = Buffer.from(result);
-  await processImageBuffer(buffer, { filepath1x, filepath2x });
+  await processImageBuffer(buffer, { filepath1x, filepath2x, size });
   return true;
 }
 
-// Get image file paths for a user
-const getImagePaths = (userId) => {
-  const dir = CONFIG.imagesDir;
+// Get image file paths for a user avatar or review photo
+const getImagePaths = (imageId, kind = "avatar") => {
+  const { dirKey, size } = IMAGE_KINDS[kind];
+  const dir = CONFIG[dirKey];
   return {
     dir,
-    filepath1x: path.join(dir, `${userId}.webp`),
-    filepath2x: path.join(dir, `${userId}@2x.webp`),
+    filepath1x: path.join(dir, `${imageId}.webp`),
+    filepath2x: path.join(dir, `${imageId}@2x.webp`),
+    kind,
+    size,
   };
 };
 
@@ -83,14 +123,15 @@ const isRedirect = (response) =>
 const isDnsError = (err) =>
   err.code === "EAI_AGAIN" || err.message?.includes("EAI_AGAIN");
 
-// Process buffer into 1x and 2x images
+// Process buffer into 1x and 2x images (avatar size unless paths says otherwise)
 const processImageBuffer = async (buffer, paths) => {
+  const size = paths.size || IMAGE_KINDS.avatar.size;
   await sharp(buffer)
-    .resize(48, 48, { fit: "cover" })
+    .resize(size, size, { fit: "cover" })
     .webp({ quality: 80 })
     .toFile(paths.filepath1x);
   await sharp(buffer)
-    .resize(96, 96, { fit: "cover" })
+    .resize(size * 2, size * 2, { fit: "cover" })
     .webp({ quality: 80 })
     .toFile(paths.filepath2x);
 };
@@ -119,7 +160,12 @@ const handleImageResponse = (response, paths, userId, resolve) => {
 // Try curl download, return false on any failure
 const tryCurlDownload = async (url, paths) => {
   try {
-    return await downloadImageWithCurl(url, paths.filepath1x, paths.filepath2x);
+    return await downloadImageWithCurl(
+      url,
+      paths.filepath1x,
+      paths.filepath2x,
+      paths.size,
+    );
   } catch {
     return false;
   }
@@ -134,9 +180,11 @@ const createImageErrorHandler = (url, paths, resolve) => async (err) => {
 // Create response handler for image request
 const createResponseHandler = (paths, userId, resolve) => (response) => {
   if (isRedirect(response)) {
-    return downloadAndProcessImage(response.headers.location, userId).then(
-      resolve,
-    );
+    return downloadAndProcessImage(
+      response.headers.location,
+      userId,
+      paths.kind,
+    ).then(resolve);
   }
   handleImageResponse(response, paths, userId, resolve);
 };
@@ -157,10 +205,10 @@ const setupTimeout = (request, resolve, ms = 30000) => {
 };
 
 // Check preconditions for image download, returns { skip: boolean, result: boolean, paths, urlObj }
-const checkImagePreconditions = (url, userId) => {
+const checkImagePreconditions = (url, userId, kind = "avatar") => {
   if (!validateImageInputs(url, userId)) return { skip: true, result: false };
 
-  const paths = getImagePaths(userId);
+  const paths = getImagePaths(userId, kind);
   fs.mkdirSync(paths.dir, { recursive: true });
 
   if (imageFilesExist(paths)) return { skip: true, result: true };
@@ -171,10 +219,10 @@ const checkImagePreconditions = (url, userId) => {
   return { skip: false, paths, urlObj };
 };
 
-// Download image from URL, resize to avatar dimensions, and save as WebP
-function downloadAndProcessImage(url, userId) {
+// Download image from URL, resize to the dimensions for its kind, and save as WebP
+function downloadAndProcessImage(url, userId, kind = "avatar") {
   return new Promise((resolve) => {
-    const preconditions = checkImagePreconditions(url, userId);
+    const preconditions = checkImagePreconditions(url, userId, kind);
     if (preconditions.skip) return resolve(preconditions.result);
 
     const { paths, urlObj } = preconditions;
@@ -188,7 +236,12 @@ function downloadAndProcessImage(url, userId) {
   });
 }
 
-function formatFilename(name, date) {
+/**
+ * Build a review filename from the author and day. When the review has a
+ * source-native identity, a short hash of it is appended so two reviewers
+ * with the same name on the same day no longer collide.
+ */
+function formatFilename(name, date, identity = null) {
   const safeName = (name || "anonymous")
     .toLowerCase()
     .replace(/[^a-z0-9\s]/g, "")
@@ -198,9 +251,24 @@ function formatFilename(name, date) {
     date instanceof Date && !Number.isNaN(date.getTime())
       ? date.toISOString().split("T")[0]
       : new Date().toISOString().split("T")[0];
-  return `${safeName}-${safeDate}.json`;
+  const suffix = identity ? `-${hashIdentity(identity)}` : "";
+  return `${safeName}-${safeDate}${suffix}.json`;
 }
 
+// Short, filesystem-safe digest of a review identity
+const hashIdentity = (identity) =>
+  createHash("sha256").update(identity).digest("hex").substring(0, 8);
+
+// Per-business summary of the stored reviews, kept up to date by saveReview
+const REVIEW_INDEX_FILE = "reviews.index.json";
+
+// JSON files in data/<slug>/ that are generated rather than reviews
+const GENERATED_JSON_FILES = ["schema.json", REVIEW_INDEX_FILE];
+
+// Check whether a file in a business directory is a stored review
+const isReviewFile = (file) =>
+  file.endsWith(".json") && !GENERATED_JSON_FILES.includes(file);
+
 // Read a JSON file safely, returning null on error
 const readJsonSafe = (filepath) => {
   try {
@@ -227,18 +295,32 @@ const addDays = (days) => (date) => {
 // Format date as YYYY-MM-DD
 const formatDateYMD = (date) => date.toISOString().split("T")[0];
 
-function getLatestReviewDate(businessDir) {
-  if (!fs.existsSync(businessDir)) return null;
+// The newest review date per source, from the review index
+const getLatestDates = (businessDir) => {
+  const latest = new Map();
+  for (const entry of Object.values(loadReviewIndex(businessDir))) {
+    const date = parseDateSafe(entry.date);
+    if (!date) continue;
+    if (!latest.has(entry.source) || date > latest.get(entry.source)) {
+      latest.set(entry.source, date);
+    }
+  }
+  return latest;
+};
 
-  const files = fs.readdirSync(businessDir);
+/**
+ * The day after the newest stored review, as YYYY-MM-DD, for use as a
+ * fetch start date. Pass a source to only count that platform's reviews,
+ * so a fresh review on one platform can't hide older unseen ones on
+ * another.
+ */
+function getLatestReviewDate(businessDir, source = null) {
+  if (!fs.existsSync(businessDir)) return null;
 
-  const reviewDates = pipe(
-    filter((f) => f.endsWith(".json")),
-    map((f) => readJsonSafe(path.join(businessDir, f))),
-    compact,
-    map((review) => parseDateSafe(review.date)),
-    compact,
-  )(files);
+  const latest = getLatestDates(businessDir);
+  const reviewDates = source
+    ? compact([latest.get(source)])
+    : [...latest.values()];
 
   if (reviewDates.length === 0) return null;
 
@@ -256,16 +338,18 @@ const handleApiTimeout = (request, reject) => () => {
   reject(new Error("Request timeout"));
 };
 
-function makeApiRequestHttps(url, data) {
+// Send a JSON API request. `data` is the POST body; GETs pass null.
+function makeApiRequestHttps(url, data, method = "POST") {
   return new Promise((resolve, reject) => {
     const urlObj = new URL(url);
-    const postData = JSON.stringify(data);
+    const postData = data === null ? "" : JSON.stringify(data);
 
-    const request = https.request(
+    const request = getProtocolModule(urlObj).request(
       {
         hostname: urlObj.hostname,
+        port: urlObj.port,
         path: urlObj.pathname + urlObj.search,
-        method: "POST",
+        method,
         headers: {
           "Content-Type": "application/json",
           "Content-Length": Buffer.byteLength(postData),
@@ -278,7 +362,15 @@ function makeApiRequestHttps(url, data) {
         });
         response.on("end", () => {
           if (response.statusCode >= 400) {
-            reject(new Error(`HTTP ${response.statusCode}: ${responseData}`));
+            reject(
+              Object.assign(
+                new Error(`HTTP ${response.statusCode}: ${responseData}`),
+                {
+                  statusCode: response.statusCode,
+                  retryAfter: response.headers["retry-after"],
+                },
+              ),
+            );
           } else {
             resolve(responseData);
           }
@@ -294,13 +386,13 @@ function makeApiRequestHttps(url, data) {
   });
 }
 
-function makeApiRequestCurl(url, data) {
-  const postData = JSON.stringify(data);
-  const escapedData = postData.replace(/'/g, "'\\''");
+function makeApiRequestCurl(url, data, method = "POST") {
+  const body =
+    data === null ? "" : ` -d '${JSON.stringify(data).replace(/'/g, "'\\''")}'`;
 
   try {
     const result = execSync(
-      `curl -s --max-time 1200 -X POST "${url}" -H "Content-Type: application/json" -d '${escapedData}'`,
+      `curl -s --max-time 1200 -X ${method} "${url}" -H "Content-Type: application/json"${body}`,
       { encoding: "utf8", maxBuffer: 50 * 1024 * 1024 },
     );
     return result;
@@ -309,21 +401,110 @@ function makeApiRequestCurl(url, data) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Retries
+// ---------------------------------------------------------------------------
+
+// Connection failures that say nothing about the request itself
+const RETRYABLE_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "ETIMEDOUT",
+];
+
+/**
+ * Whether a failed API request is worth trying again. A POST starts an
+ * actor run, and after a 5xx or a dropped connection it may have started
+ * anyway, so retrying could pay for the same scrape several times over.
+ * POSTs are only retried when the request never got through: rate limited
+ * (429) or the connection refused. GETs (run status and dataset reads) are
+ * also retried on 408, 5xx and dropped connections. Other 4xx responses
+ * would fail the same way again, and our own 20 minute request timeout is
+ * never retried.
+ */
+const isRetryableError = (error, method = "GET") => {
+  if (error.statusCode === 429 || error.code === "ECONNREFUSED") return true;
+  if (method !== "GET") return false;
+  return error.statusCode
+    ? error.statusCode === 408 || error.statusCode >= 500
+    : RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * How long to wait before retry number `attempt` (from 1): the server's
+ * Retry-After if it sent one, otherwise exponential backoff with jitter so
+ * parallel runs don't retry in step. Returns null when the server asks for
+ * longer than apiRetryMaxMs.
+ */
+const getRetryDelay = (error, attempt, random = Math.random) => {
+  const retryAfter = parseRetryAfter(error.retryAfter);
+  if (retryAfter !== null) {
+    return retryAfter <= CONFIG.apiRetryMaxMs ? retryAfter : null;
+  }
+  const backoff = Math.min(
+    CONFIG.apiRetryBaseMs * 2 ** (attempt - 1),
+    CONFIG.apiRetryMaxMs,
+  );
+  return Math.round(backoff / 2 + (random() * backoff) / 2);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call `request` until it succeeds, making up to apiMaxAttempts attempts.
+ * Errors that aren't retryable for `method`, and the last attempt's error,
+ * are thrown.
+ */
+const withRetry = async (request, label, method = "GET") => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const delay =
+        attempt < CONFIG.apiMaxAttempts && isRetryableError(error, method)
+          ? getRetryDelay(error, attempt)
+          : null;
+      if (delay === null) throw error;
+      console.log(
+        `${label} failed (${error.message}), retrying in ${Math.ceil(delay / 1000)}s`,
+      );
+      await sleep(delay);
+    }
+  }
+};
+
 // Handle API request error with DNS fallback - extracted for testability
-const handleApiRequestError = (url, data, error) => {
+const handleApiRequestError = (url, data, error, method = "POST") => {
   if (isDnsError(error)) {
     console.log("Using curl fallback due to DNS issues...");
-    return makeApiRequestCurl(url, data);
+    return makeApiRequestCurl(url, data, method);
   }
   throw error;
 };
 
-async function makeApiRequest(url, data) {
-  try {
-    return await makeApiRequestHttps(url, data);
-  } catch (error) {
-    return handleApiRequestError(url, data, error);
-  }
+// Send an API request, retrying transient failures. The log label leaves
+// out the query string, which holds the API token.
+async function makeApiRequest(url, data, method = "POST") {
+  return withRetry(
+    async () => {
+      try {
+        return await makeApiRequestHttps(url, data, method);
+      } catch (error) {
+        return handleApiRequestError(url, data, error, method);
+      }
+    },
+    `${method} ${new URL(url).pathname}`,
+    method,
+  );
 }
 
 // Validate that response is an array - extracted for testability
@@ -346,6 +527,202 @@ async function fetchApiArray(url, data) {
   return validateArrayResponse(results);
 }
 
+// ---------------------------------------------------------------------------
+// Apify runs
+// ---------------------------------------------------------------------------
+
+// Apify API URL, authenticated with the token from the environment
+const apifyUrl = (pathname, params = {}) => {
+  const query = new URLSearchParams({
+    token: process.env.APIFY_API_TOKEN || "",
+    ...params,
+  });
+  return `${CONFIG.apifyApiUrl}${pathname}?${query}`;
+};
+
+// Statuses a run doesn't move on from
+const FINISHED_RUN_STATUSES = ["SUCCEEDED", "FAILED", "ABORTED", "TIMED-OUT"];
+
+// Start an actor run without waiting for it, returning the run ID
+const startApifyRun = async (actorId, input) => {
+  const response = await makeApiRequest(
+    apifyUrl(`/acts/${actorId}/runs`),
+    input,
+  );
+  return JSON.parse(response).data.id;
+};
+
+const getApifyRun = async (runId) => {
+  const response = await makeApiRequest(
+    apifyUrl(`/actor-runs/${runId}`),
+    null,
+    "GET",
+  );
+  return JSON.parse(response).data;
+};
+
+/**
+ * Poll a run until it finishes, backing off between polls. Returns the
+ * finished run, or null if it is still going after apifyMaxWaitMs.
+ */
+const waitForApifyRun = async (runId) => {
+  const startedAt = Date.now();
+  let delay = CONFIG.apifyPollMs;
+  let run = await getApifyRun(runId);
+  while (!FINISHED_RUN_STATUSES.includes(run.status)) {
+    if (Date.now() - startedAt + delay > CONFIG.apifyMaxWaitMs) return null;
+    await sleep(delay);
+    delay = Math.min(delay * 2, CONFIG.apifyMaxPollMs);
+    run = await getApifyRun(runId);
+  }
+  return run;
+};
+
+// Read a whole dataset, apifyPageSize items per request. Not "clean":
+// Apify drops empty items after applying offset and limit, so a short
+// page wouldn't mean the end of the dataset.
+const fetchDatasetItems = async (datasetId) => {
+  const items = [];
+  let page;
+  do {
+    const url = apifyUrl(`/datasets/${datasetId}/items`, {
+      offset: items.length,
+      limit: CONFIG.apifyPageSize,
+    });
+    page = validateArrayResponse(
+      JSON.parse(await makeApiRequest(url, null, "GET")),
+    );
+    items.push(...page);
+  } while (page.length === CONFIG.apifyPageSize);
+  return items;
+};
+
+/**
+ * Run an actor without holding a request open for the whole run. The run
+ * ID is kept on the business as `apify_run_<source>` until its results
+ * are in, so a run that outlasts apifyMaxWaitMs is resumed by the next
+ * invocation instead of being started again. Whether it was started as a
+ * full fetch is kept beside it as `apify_run_full_<source>`, as the
+ * invocation that resumes it may see different fetch options; that is left
+ * for the business processor to read once the results are in. A stored
+ * run Apify refuses to report on (expired, or started under another
+ * token) is dropped and a new one started. Returns null while the run is
+ * still going.
+ */
+const runApifyActorAsync = async (actorId, input, business, options) => {
+  const { source } = options;
+  const runField = `apify_run_${source}`;
+  const fullField = `apify_run_full_${source}`;
+  let run = null;
+  if (business[runField]) {
+    console.log(
+      `Resuming Apify run ${business[runField]} for ${business.slug}`,
+    );
+    run = await waitForApifyRun(business[runField]).catch((error) => {
+      if (!error.statusCode || isRetryableError(error)) throw error;
+      console.log(
+        `Apify run ${business[runField]} can't be resumed (${error.message}), starting a new one`,
+      );
+      delete business[runField];
+      delete business[fullField];
+      return null;
+    });
+  }
+  if (!business[runField]) {
+    business[runField] = await startApifyRun(actorId, input);
+    business[fullField] = isFullFetch(options);
+    run = await waitForApifyRun(business[runField]);
+  }
+
+  const runId = business[runField];
+  if (!run) {
+    console.log(
+      `Apify run ${runId} is still going; it will be resumed next time`,
+    );
+    return null;
+  }
+  if (run.status !== "SUCCEEDED") {
+    delete business[runField];
+    delete business[fullField];
+    throw new Error(`Apify run ${runId} ended with status ${run.status}`);
+  }
+
+  const items = await fetchDatasetItems(run.defaultDatasetId);
+  delete business[runField];
+  return items;
+};
+
+/**
+ * Run an Apify actor for a business and return its dataset items, which
+ * are archived under raw/ first. This is a single run-sync request unless
+ * the business sets `apify_async`, for businesses too big to scrape within
+ * one request; then it can return null, meaning the run is still in
+ * progress. With `options.replay` (an archived response) the archived items
+ * are returned instead, without any network. With `options.dryRun` the run
+ * is only reported and no items are returned.
+ */
+const runApifyActor = async (actorId, input, business, options = {}) => {
+  const { source, replay, dryRun } = options;
+  if (replay) return replay.items;
+  if (dryRun) {
+    const pending = business[`apify_run_${source}`];
+    console.log(
+      pending
+        ? `${source}: ${business.slug}: would resume Apify run ${pending}`
+        : `${source}: ${business.slug}: would run ${actorId} with ${JSON.stringify(input)}`,
+    );
+    return [];
+  }
+
+  const items = business.apify_async
+    ? await runApifyActorAsync(actorId, input, business, options)
+    : await fetchApiArray(
+        apifyUrl(`/acts/${actorId}/run-sync-get-dataset-items`),
+        input,
+      );
+  if (items !== null) {
+    archiveRawResponse(business.slug, source, { actorId, input, items });
+  }
+  return items;
+};
+
+// ---------------------------------------------------------------------------
+// Raw responses
+// ---------------------------------------------------------------------------
+
+const getRawDir = (slug, source) => path.join(CONFIG.rawDir, slug, source);
+
+/**
+ * Keep a copy of what an actor returned, as
+ * raw/<slug>/<source>/<timestamp>.json, so reviews can be re-normalised
+ * later. The archive is only diagnostics: failing to write it is logged
+ * rather than failing the fetch.
+ */
+const archiveRawResponse = (slug, source, response) => {
+  const fetchedAt = new Date().toISOString();
+  const dir = getRawDir(slug, source);
+  const filepath = path.join(dir, `${fetchedAt.replace(/[:.]/g, "-")}.json`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify({ fetchedAt, ...response }));
+    return filepath;
+  } catch (error) {
+    console.warn(`Could not archive raw response: ${error.message}`);
+    return null;
+  }
+};
+
+// Archived responses for a business and source, oldest first
+const listRawResponses = (slug, source) => {
+  const dir = getRawDir(slug, source);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => path.join(dir, file));
+};
+
 // Try to download thumbnail, returning path or null
 const tryDownloadThumbnail = async (review) => {
   if (!review.userId || !review.photoUrl) return null;
@@ -353,7 +730,31 @@ const tryDownloadThumbnail = async (review) => {
     review.photoUrl,
     review.userId,
   );
-  return downloaded ? `/images/reviewers/${review.userId}.webp` : null;
+  return downloaded
+    ? `${IMAGE_KINDS.avatar.publicPath}/${review.userId}.webp`
+    : null;
+};
+
+// Stable file name for a review photo, so re-fetches reuse the download
+const getReviewPhotoId = (url) =>
+  createHash("sha256").update(url).digest("hex").substring(0, 16);
+
+/**
+ * Download a review's photos as thumbnails, skipping any that fail.
+ * Returns [{ url, thumbnail }] with the original URL kept for linking.
+ */
+const tryDownloadReviewPhotos = async (review) => {
+  const photos = [];
+  for (const url of (review.imageUrls || []).slice(0, CONFIG.maxReviewPhotos)) {
+    const photoId = getReviewPhotoId(url);
+    if (await downloadAndProcessImage(url, photoId, "photo")) {
+      photos.push({
+        url,
+        thumbnail: `${IMAGE_KINDS.photo.publicPath}/${photoId}.webp`,
+      });
+    }
+  }
+  return photos;
 };
 
 // Format rating for display
@@ -364,8 +765,31 @@ const formatRating = (rating, source) =>
       : "not recommended"
     : `${rating}/5 stars`;
 
+/**
+ * Normalise an owner's reply to a review, or null if there isn't one.
+ * The date is dropped rather than guessed when the platform omits it.
+ */
+const buildOwnerResponse = (text, date) => {
+  const content = typeof text === "string" ? text.trim() : "";
+  if (!content) return null;
+  const parsed = date ? new Date(date) : null;
+  return {
+    content,
+    date: parsed && !Number.isNaN(parsed.getTime()) ? parsed : null,
+  };
+};
+
+// Serialise an owner response for storage
+const serializeOwnerResponse = (response) =>
+  response
+    ? {
+        content: response.content,
+        date: response.date ? response.date.toISOString() : null,
+      }
+    : null;
+
 // Build review data object for storage
-const buildReviewData = (review, thumbnailPath, source) => ({
+const buildReviewData = (review, thumbnailPath, source, photos = []) => ({
   author: review.author,
   authorUrl: review.authorUrl,
   rating: review.rating,
@@ -374,18 +798,343 @@ const buildReviewData = (review, thumbnailPath, source) => ({
   userId: review.userId || null,
   thumbnail: thumbnailPath,
   source: source,
+  reviewId: review.reviewId || null,
+  ownerResponse: serializeOwnerResponse(review.ownerResponse),
+  photos,
+  ...(review.tripType && { tripType: review.tripType }),
+  ...(review.subRatings && { subRatings: review.subRatings }),
 });
 
-async function saveReview(review, outputDir, source = "google") {
-  const filename = formatFilename(review.author, review.date);
-  const filepath = path.join(outputDir, filename);
+// ---------------------------------------------------------------------------
+// Review identity
+// ---------------------------------------------------------------------------
+
+// Source plus the platform's own review ID, e.g. "trustpilot:6a07...".
+// Null for reviews the platform gave us no ID for.
+const getReviewIdentity = (review, source) =>
+  review.reviewId ? `${source}:${review.reviewId}` : null;
+
+/**
+ * Keys that identify a review within one business directory. Google only
+ * allows one review per contributor per place, so the contributor ID also
+ * matches Google files stored before review IDs were captured.
+ */
+const getIdentityKeys = (review, source) => {
+  const identity = getReviewIdentity(review, source);
+  const googleUserId =
+    source === "google" &&
+    (review.userId || extractGoogleUserId(review.authorUrl));
+  return [
+    ...(identity ? [identity] : []),
+    ...(googleUserId ? [`google-user:${googleUserId}`] : []),
+  ];
+};
+
+// Fallback key for reviews with no identity at all: the pre-ID filename
+const getLegacyKey = (source, filename) => `legacy:${source}:${filename}`;
+
+// Name-and-day key for reviews that do have an identity, so a review
+// without one (e.g. imported) can still find a fetched copy
+const getNamedKey = (source, filename) => `named:${source}:${filename}`;
+
+// Keys a stored file is registered under
+const getStoredKeys = (stored, source, file) => {
+  const keys = getIdentityKeys(stored, source);
+  if (keys.length === 0) return [getLegacyKey(source, file)];
+  const nameDay = formatFilename(stored.author, new Date(stored.date));
+  return [...keys, getNamedKey(source, nameDay)];
+};
+
+/**
+ * Map every identity key of the reviews already stored in a directory to
+ * the file holding it. Built once per fetch so saving doesn't rescan.
+ */
+const loadReviewIdentities = (outputDir) => {
+  const identities = new Map();
+  if (!fs.existsSync(outputDir)) return identities;
+
+  for (const [file, entry] of Object.entries(loadReviewIndex(outputDir))) {
+    for (const key of entry.keys) identities.set(key, file);
+  }
+  return identities;
+};
+
+// Find the file already holding this review, if any. Name and day only
+// link a review with an identity to a file without one (saved before IDs,
+// or imported), never two reviews that both have IDs. So the first fetch
+// that carries an ID adopts an imported file, and re-importing a review
+// we have since fetched finds the fetched copy.
+const findStoredReview = (review, source, identities) => {
+  const keys = getIdentityKeys(review, source);
+  const nameDay = formatFilename(review.author, review.date);
+  const candidates = keys.length
+    ? [...keys, getLegacyKey(source, nameDay)]
+    : [getLegacyKey(source, nameDay), getNamedKey(source, nameDay)];
+  const match = candidates.find((key) => identities.has(key));
+  return match ? identities.get(match) : null;
+};
+
+// ---------------------------------------------------------------------------
+// Review index
+// ---------------------------------------------------------------------------
+
+// Hash of the fields besides the rating that a re-fetch can update, so the
+// index can tell an unchanged review without its file being opened
+const hashContent = (stored) =>
+  createHash("sha256")
+    .update(
+      JSON.stringify([
+        stored.content || "",
+        stored.ownerResponse || null,
+        stored.subRatings || null,
+        stored.reviewId || null,
+        stored.userId || null,
+      ]),
+    )
+    .digest("hex")
+    .substring(0, 16);
+
+// What the index records about one stored review
+const buildIndexEntry = (stored, file) => {
+  const source = stored.source || "google";
+  return {
+    source,
+    keys: getStoredKeys(stored, source, file),
+    date: stored.date,
+    rating: stored.rating,
+    contentHash: hashContent(stored),
+    ...(stored.removed && { removed: true }),
+  };
+};
+
+// Whether the index shows a stored review already matching a fresh fetch
+// of it, in which case updateStoredReview would change nothing
+const isIndexedUnchanged = (review, outputDir, file, source) => {
+  const entry = loadReviewIndex(outputDir)[file];
+  return Boolean(
+    entry &&
+      !entry.removed &&
+      Number(entry.rating) === Number(review.rating) &&
+      entry.contentHash === hashContent(buildReviewData(review, null, source)),
+  );
+};
+
+// Index entries for review files, read from the files themselves
+const indexReviewFiles = (businessDir, files) => {
+  const reviews = {};
+  for (const file of files) {
+    const stored = readJsonSafe(path.join(businessDir, file));
+    if (stored) reviews[file] = buildIndexEntry(stored, file);
+  }
+  return reviews;
+};
+
+// Loaded indexes, reused until the directory's mtime or file count changes
+const reviewIndexCache = new Map();
+
+const getDirVersion = (businessDir, files) =>
+  `${fs.statSync(businessDir).mtimeMs}:${files.length}`;
+
+/**
+ * The review index for a business directory, as { [file]: entry }. Review
+ * files the index doesn't cover (added outside saveReview) are read, and
+ * entries for files that have gone are dropped. Those repairs stay in
+ * memory until the index is next written, so reading never touches disk.
+ */
+const loadReviewIndex = (businessDir) => {
+  if (!fs.existsSync(businessDir)) return {};
+  const files = fs.readdirSync(businessDir);
+  const version = getDirVersion(businessDir, files);
+  const cached = reviewIndexCache.get(businessDir);
+  if (cached?.version === version) return cached.reviews;
+
+  const indexPath = path.join(businessDir, REVIEW_INDEX_FILE);
+  const indexed = fs.existsSync(indexPath)
+    ? readJsonSafe(indexPath)?.reviews || {}
+    : {};
+  const reviewFiles = files.filter(isReviewFile);
+  const unindexed = indexReviewFiles(
+    businessDir,
+    reviewFiles.filter((file) => !Object.hasOwn(indexed, file)),
+  );
+  const reviews = {};
+  for (const file of reviewFiles) {
+    const entry = indexed[file] || unindexed[file];
+    if (entry) reviews[file] = entry;
+  }
+
+  reviewIndexCache.set(businessDir, { version, reviews });
+  return reviews;
+};
+
+const writeReviewIndex = (businessDir, reviews) => {
+  const sorted = Object.fromEntries(
+    Object.keys(reviews)
+      .sort()
+      .map((file) => [file, reviews[file]]),
+  );
+  fs.writeFileSync(
+    path.join(businessDir, REVIEW_INDEX_FILE),
+    JSON.stringify({ reviews: sorted }, null, 2),
+  );
+  const version = getDirVersion(businessDir, fs.readdirSync(businessDir));
+  reviewIndexCache.set(businessDir, { version, reviews });
+};
+
+// Record a review file just written in its directory's index
+const indexReviewFile = (businessDir, file, stored) => {
+  const reviews = loadReviewIndex(businessDir);
+  reviews[file] = buildIndexEntry(stored, file);
+  writeReviewIndex(businessDir, reviews);
+};
+
+/**
+ * Rebuild a directory's index from its review files, for when it has
+ * drifted from disk (files edited or renamed by hand). Returns how many
+ * entries were added, dropped and changed compared to the old index.
+ */
+const rebuildReviewIndex = (businessDir) => {
+  const indexPath = path.join(businessDir, REVIEW_INDEX_FILE);
+  const old = fs.existsSync(indexPath)
+    ? readJsonSafe(indexPath)?.reviews || {}
+    : {};
+  const reviews = indexReviewFiles(
+    businessDir,
+    fs.readdirSync(businessDir).filter(isReviewFile),
+  );
+  writeReviewIndex(businessDir, reviews);
+
+  const files = Object.keys(reviews);
+  return {
+    added: files.filter((file) => !Object.hasOwn(old, file)).length,
+    dropped: Object.keys(old).filter((file) => !Object.hasOwn(reviews, file))
+      .length,
+    changed: files.filter(
+      (file) =>
+        Object.hasOwn(old, file) &&
+        JSON.stringify(old[file]) !== JSON.stringify(reviews[file]),
+    ).length,
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Edits and removals
+// ---------------------------------------------------------------------------
 
-  if (fs.existsSync(filepath)) return false;
+// Whether the platform copy of a review differs from what we stored
+const hasReviewChanged = (stored, review) =>
+  (stored.content || "").trim() !== (review.content || "").trim() ||
+  Number(stored.rating) !== Number(review.rating);
+
+/**
+ * Bring a stored review in line with a fresh fetch of it. Text and rating
+ * edits push the previous version onto `editHistory`; the owner response is
+ * refreshed, a missing reviewId or userId is backfilled and a `removed`
+ * flag is cleared if the review has come back. Returns true if the file
+ * changed.
+ */
+const updateStoredReview = (review, outputDir, file, source) => {
+  const filepath = path.join(outputDir, file);
+  const stored = readJsonSafe(filepath);
+  if (!stored) return false;
+
+  const updated = { ...stored };
+  if (hasReviewChanged(stored, review)) {
+    updated.editHistory = [
+      ...(stored.editHistory || []),
+      {
+        content: stored.content,
+        rating: stored.rating,
+        replacedAt: new Date().toISOString(),
+      },
+    ];
+    updated.content = review.content;
+    updated.rating = review.rating;
+  }
+  updated.ownerResponse = serializeOwnerResponse(review.ownerResponse);
+  if (review.subRatings) updated.subRatings = review.subRatings;
+  updated.reviewId = stored.reviewId || review.reviewId || null;
+  updated.userId = stored.userId || review.userId || null;
+  delete updated.removed;
+  delete updated.removedAt;
+
+  if (JSON.stringify(updated) === JSON.stringify(stored)) return false;
+
+  fs.writeFileSync(filepath, JSON.stringify(updated, null, 2));
+  indexReviewFile(outputDir, file, updated);
+  const edited = updated.editHistory !== stored.editHistory;
+  console.log(`↻ ${file} (${edited ? "edited" : "refreshed"}, ${source})`);
+  return true;
+};
+
+/**
+ * Flag stored reviews from `source` that a full fetch no longer returned.
+ * Only reviews with an identity are considered, since anything else can't
+ * be reliably matched against the fetch. Returns the number newly flagged.
+ */
+const markRemovedReviews = (outputDir, source, matchedFiles) => {
+  let removed = 0;
+  for (const [file, entry] of Object.entries(loadReviewIndex(outputDir))) {
+    if (matchedFiles.has(file) || entry.removed) continue;
+    if (entry.source !== source) continue;
+    const filepath = path.join(outputDir, file);
+    const stored = readJsonSafe(filepath);
+    if (!stored || stored.removed) continue;
+    if (getIdentityKeys(stored, source).length === 0) continue;
+
+    const flagged = {
+      ...stored,
+      removed: true,
+      removedAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(filepath, JSON.stringify(flagged, null, 2));
+    indexReviewFile(outputDir, file, flagged);
+    console.log(`✗ ${file} (no longer on ${source})`);
+    removed++;
+  }
+  return removed;
+};
+
+/**
+ * Save a newly fetched review, or update the stored copy if we already have
+ * it. Returns true only when a new review file was written.
+ */
+async function saveReview(
+  review,
+  outputDir,
+  source = "google",
+  identities = loadReviewIdentities(outputDir),
+) {
+  const storedFile = findStoredReview(review, source, identities);
+  if (storedFile) {
+    // Without an identity the match is by name and day only, which can't
+    // tell an edit from a different reviewer, so leave the file alone
+    if (
+      getIdentityKeys(review, source).length > 0 &&
+      !isIndexedUnchanged(review, outputDir, storedFile, source)
+    ) {
+      updateStoredReview(review, outputDir, storedFile, source);
+    }
+    return false;
+  }
+
+  const filename = formatFilename(
+    review.author,
+    review.date,
+    getReviewIdentity(review, source),
+  );
+  const filepath = path.join(outputDir, filename);
 
   const thumbnailPath = await tryDownloadThumbnail(review);
-  const reviewData = buildReviewData(review, thumbnailPath, source);
+  const photos = await tryDownloadReviewPhotos(review);
+  const reviewData = buildReviewData(review, thumbnailPath, source, photos);
 
   fs.writeFileSync(filepath, JSON.stringify(reviewData, null, 2));
+  indexReviewFile(outputDir, filename, reviewData);
+
+  for (const key of getStoredKeys(reviewData, source, filename)) {
+    identities.set(key, filename);
+  }
 
   const thumbInfo = thumbnailPath ? " [with thumbnail]" : "";
   console.log(
@@ -394,8 +1143,39 @@ async function saveReview(review, outputDir, source = "google") {
   return true;
 }
 
+// Work out which new files saveReview would create for reviews, without
+// writing anything
+const planReviewSaves = (reviews, outputDir, source) => {
+  const identities = loadReviewIdentities(outputDir);
+  const created = [];
+  for (const review of reviews) {
+    if (findStoredReview(review, source, identities)) continue;
+
+    const filename = formatFilename(
+      review.author,
+      review.date,
+      getReviewIdentity(review, source),
+    );
+    created.push(filename);
+    const reviewData = buildReviewData(review, null, source);
+    for (const key of getStoredKeys(reviewData, source, filename)) {
+      identities.set(key, filename);
+    }
+  }
+  return created;
+};
+
+// Read config.json, refusing to go on if it doesn't match CONFIG_SCHEMA:
+// a misspelt key would otherwise be silently ignored
 function loadConfig() {
-  return JSON.parse(fs.readFileSync(CONFIG.configPath, "utf8"));
+  const config = JSON.parse(fs.readFileSync(CONFIG.configPath, "utf8"));
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `${CONFIG.configPath} is invalid:\n  ${errors.join("\n  ")}`,
+    );
+  }
+  return config;
 }
 
 function saveConfig(config) {
@@ -403,6 +1183,9 @@ function saveConfig(config) {
 }
 
 function shouldFetch(business, source = null) {
+  // An unfinished async Apify run is always picked up again
+  if (source && business[`apify_run_${source}`]) return true;
+
   // Support source-specific timestamps (last_fetched_google, last_fetched_facebook)
   // or fall back to generic last_fetched
   const timestampField = source ? `last_fetched_${source}` : "last_fetched";
@@ -419,8 +1202,11 @@ function shouldFetch(business, source = null) {
   return daysSinceFetch >= business.fetch_frequency_days;
 }
 
+const formatTimestamp = () =>
+  new Date().toISOString().replace("T", " ").substring(0, 19);
+
 function updateLastFetched(business, source = null) {
-  const timestamp = new Date().toISOString().replace("T", " ").substring(0, 19);
+  const timestamp = formatTimestamp();
   if (source) {
     business[`last_fetched_${source}`] = timestamp;
   } else {
@@ -428,11 +1214,58 @@ function updateLastFetched(business, source = null) {
   }
 }
 
+// Whether a source fetched incrementally or from a start date is due its
+// periodic full fetch
+const isFullResyncDue = (business, source) => {
+  const lastFull = business[`last_full_fetch_${source}`];
+  if (!lastFull) return true;
+  const days = business.full_resync_days ?? CONFIG.fullResyncDays;
+  return Date.now() - new Date(lastFull) >= days * 24 * 60 * 60 * 1000;
+};
+
 /**
  * Shared content filter - reviews must have >5 characters
  */
 const hasContent = (review) => review.content && review.content.length > 5;
 
+// Check if title should be stripped (body already contains it or is a truncated version)
+const shouldStripTitle = (title, body) => {
+  const lowerBody = body.toLowerCase();
+  const lowerTitle = title.toLowerCase();
+
+  // Exact match - body starts with full title
+  if (lowerBody.startsWith(lowerTitle)) return true;
+
+  // Title was truncated with ellipsis, body contains the full text
+  const ellipsisMatch = title.match(/^(.+?)(\.{3}|…\.?)$/);
+  if (ellipsisMatch) {
+    const titlePrefix = ellipsisMatch[1].trim().toLowerCase();
+    if (lowerBody.startsWith(titlePrefix)) return true;
+  }
+
+  return false;
+};
+
+// Combine a review title and body, handling duplication and ellipsis
+// truncation. Used by platforms whose reviews have a separate headline.
+const buildTitledContent = (reviewTitle, reviewText) => {
+  const body = reviewText || "";
+
+  if (!reviewTitle) return body;
+
+  let title = reviewTitle.trim();
+
+  if (shouldStripTitle(title, body)) return body;
+
+  // Add period to title if it doesn't end with sentence punctuation
+  if (!/[.!?]$/.test(title)) {
+    title = `${title}.`;
+  }
+
+  // Return just title if body is empty
+  return body ? `${title}\n\n${body}` : title;
+};
+
 /**
  * Curried filter for businesses with a specific platform field
  */
@@ -454,13 +1287,40 @@ const ensureBusinessDir = (business) => {
 };
 
 /**
- * Build fetch options from business config
+ * The data directories a maintenance script should work through, as
+ * { slug, businessDir }: just `slug`'s if one is given, otherwise every
+ * business's. A slug with no directory is warned about and left out.
+ */
+const listBusinessDirs = (slug) => {
+  const slugs = slug
+    ? [slug]
+    : fs
+        .readdirSync(CONFIG.reviewsDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name);
+
+  return slugs
+    .map((businessSlug) => ({
+      slug: businessSlug,
+      businessDir: path.join(CONFIG.reviewsDir, businessSlug),
+    }))
+    .filter(({ slug: businessSlug, businessDir }) => {
+      if (fs.existsSync(businessDir)) return true;
+      console.warn(`No data directory for ${businessSlug}`);
+      return false;
+    });
+};
+
+/**
+ * Build fetch options from business config.
+ * `locale` becomes the actor language, for platforms that support one.
  */
 const buildFetchOptions = (business, businessDir, getStartDate) => ({
   maxReviews:
     business.number_of_reviews === -1
       ? CONFIG.maxReviews
       : business.number_of_reviews,
+  ...(business.locale && { language: business.locale }),
   ...(getStartDate && { reviewsStartDate: getStartDate(businessDir) }),
 });
 
@@ -473,33 +1333,189 @@ const filterByMinRating = (minRating) =>
 /**
  * Save reviews and return count saved
  */
-const saveReviewsWithCount = async (reviews, businessDir, source) => {
+const saveReviewsWithCount = async (
+  reviews,
+  businessDir,
+  source,
+  fullFetch = false,
+) => {
+  const identities = loadReviewIdentities(businessDir);
+  const matchedFiles = new Set();
   let saved = 0;
   for (const review of reviews) {
-    if (await saveReview(review, businessDir, source)) saved++;
+    if (await saveReview(review, businessDir, source, identities)) saved++;
+    const storedFile = findStoredReview(review, source, identities);
+    if (storedFile) matchedFiles.add(storedFile);
+  }
+
+  // An empty result is far more likely a failed scrape than every review
+  // being deleted, so never treat it as grounds for removal
+  if (fullFetch && reviews.length > 0) {
+    markRemovedReviews(businessDir, source, matchedFiles);
   }
   return saved;
 };
 
+// A fetch with no start date and no review cap sees every review the
+// platform has, so anything stored but not returned has been deleted
+const isFullFetch = (fetchOptions) =>
+  !fetchOptions.reviewsStartDate &&
+  fetchOptions.maxReviews === CONFIG.maxReviews;
+
+// Whether the fetch that just returned was a full one. An async Apify run
+// records how it was started, as it may have been started by an earlier
+// invocation with other fetch options; the record is cleared once read.
+const wasFullFetch = (business, source, fetchOptions) => {
+  const runFullField = `apify_run_full_${source}`;
+  const startedFull = business[runFullField];
+  delete business[runFullField];
+  return startedFull ?? isFullFetch(fetchOptions);
+};
+
+/**
+ * Fetch options for a business and source. For sources fetched
+ * incrementally, only the newest incrementalMaxReviews reviews are asked
+ * for, and `windowStart` is the day after the newest review stored from
+ * that source. There is no window when nothing from the source is stored
+ * yet or its periodic full resync is due. A due resync also drops the
+ * start date of sources fetched from one (Google), so they too see edits
+ * and removals of older reviews.
+ */
+const getFetchOptions = (business, businessDir, options) => {
+  const { source, getStartDate, incremental } = options;
+  const resyncDue = isFullResyncDue(business, source);
+  const fetchOptions = buildFetchOptions(
+    business,
+    businessDir,
+    resyncDue ? null : getStartDate,
+  );
+  if (!incremental || resyncDue) return fetchOptions;
+
+  const windowStart = getLatestReviewDate(businessDir, source);
+  if (!windowStart) return fetchOptions;
+  return {
+    ...fetchOptions,
+    maxReviews: Math.min(fetchOptions.maxReviews, CONFIG.incrementalMaxReviews),
+    windowStart,
+  };
+};
+
+// Whether an incremental fetch reached back to reviews we already had, so
+// nothing between them and the new ones can have been missed. An empty
+// fetch proves nothing either way and isn't followed up.
+const reachesStoredReviews = (reviews, windowStart) =>
+  reviews.length === 0 ||
+  reviews.some((review) => review.date < new Date(windowStart));
+
 /**
- * Create a business processor for a specific platform
+ * Create a business processor for a specific platform. An incremental
+ * fetch whose reviews are all newer than anything stored may have stopped
+ * short, so it is followed by a full fetch straight away.
  */
 const createBusinessProcessor = (options) => {
-  const { source, fetchReviews, getStartDate } = options;
+  const { source, fetchReviews, getStartDate, incremental } = options;
 
   return async (business, businessDir) => {
-    const fetchOptions = buildFetchOptions(business, businessDir, getStartDate);
-    const reviews = await fetchReviews(business, fetchOptions);
+    let fetchOptions = getFetchOptions(business, businessDir, {
+      source,
+      getStartDate,
+      incremental,
+    });
+    let reviews = await fetchReviews(business, { ...fetchOptions, source });
+    if (
+      reviews &&
+      fetchOptions.windowStart &&
+      !reachesStoredReviews(reviews, fetchOptions.windowStart)
+    ) {
+      console.log(
+        `${business.slug}: all ${reviews.length} ${source} reviews are new, fetching the rest`,
+      );
+      fetchOptions = buildFetchOptions(business, businessDir, getStartDate);
+      // Any record of how a run started is of the one just read
+      delete business[`apify_run_full_${source}`];
+      reviews = await fetchReviews(business, { ...fetchOptions, source });
+    }
+    // An async Apify run still in progress; last_fetched stays as it was so
+    // the next invocation resumes it
+    if (reviews === null) return 0;
     const filtered = filterByMinRating(business.minimum_star_rating)(reviews);
 
-    const saved = await saveReviewsWithCount(filtered, businessDir, source);
+    const fullFetch = wasFullFetch(business, source, fetchOptions);
+    const saved = await saveReviewsWithCount(
+      filtered,
+      businessDir,
+      source,
+      fullFetch,
+    );
     updateLastFetched(business, source);
+    if (fullFetch) business[`last_full_fetch_${source}`] = formatTimestamp();
     return saved;
   };
 };
 
 /**
- * Process businesses that need fetching
+ * Limit how many tasks run at once. The returned function runs a task as
+ * soon as one of `limit` slots is free and resolves with its result; a
+ * finishing task hands its slot straight to the next one waiting.
+ */
+const createPool = (limit) => {
+  let active = 0;
+  const waiting = [];
+  return async (task) => {
+    if (active < limit) active++;
+    else await new Promise((resolve) => waiting.push(resolve));
+    try {
+      return await task();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+};
+
+// Shared by every fetcher in the process. Created on first use, so that
+// CONFIG.globalFetchConcurrency can be set from the command line first.
+let globalFetchPool = null;
+const getGlobalFetchPool = () => {
+  globalFetchPool ??= createPool(CONFIG.globalFetchConcurrency);
+  return globalFetchPool;
+};
+
+/**
+ * Create a processor that re-runs normalisation over a business's archived
+ * responses, oldest first, without calling Apify, and saves the reviews
+ * that aren't stored yet. Stored reviews are left alone: an old response
+ * would revert any edit made since. As the responses are old, removals
+ * aren't flagged and last_fetched is left alone.
+ */
+const createReplayProcessor = (options) => {
+  const { source, fetchReviews } = options;
+
+  return async (business, businessDir) => {
+    let saved = 0;
+    for (const file of listRawResponses(business.slug, source)) {
+      const replay = readJsonSafe(file);
+      if (!replay) continue;
+      const reviews = await fetchReviews(business, { source, replay });
+      const identities = loadReviewIdentities(businessDir);
+      saved += await saveReviewsWithCount(
+        filterByMinRating(business.minimum_star_rating)(reviews).filter(
+          (review) => !findStoredReview(review, source, identities),
+        ),
+        businessDir,
+        source,
+      );
+    }
+    return saved;
+  };
+};
+
+/**
+ * Process businesses that need fetching, up to CONFIG.fetchConcurrency at a
+ * time (and CONFIG.globalFetchConcurrency across all fetchers in the
+ * process). A business that fails is logged and skipped rather than costing
+ * the rest their fetch; the failures are returned as { slug, error }.
  */
 const processBusinesses = async (
   businesses,
@@ -508,27 +1524,179 @@ const processBusinesses = async (
   shouldProcess,
   source,
 ) => {
+  const pool = createPool(CONFIG.fetchConcurrency);
+  const globalPool = getGlobalFetchPool();
+  const processOne = async (business) => {
+    try {
+      await processor(business, ensureDir(business));
+      return null;
+    } catch (error) {
+      console.error(
+        `${business.slug}: ${source} fetch failed: ${error.message}`,
+      );
+      return { slug: business.slug, error };
+    }
+  };
+
+  const results = await Promise.all(
+    businesses
+      .filter((business) => shouldProcess(business, source))
+      .map((business) => pool(() => globalPool(() => processOne(business)))),
+  );
+  return results.filter(Boolean);
+};
+
+// The config.json fields a source's fetcher maintains on each business
+const getFetchStateFields = (source) => [
+  `last_fetched_${source}`,
+  `last_full_fetch_${source}`,
+  `apify_run_${source}`,
+  `apify_run_full_${source}`,
+];
+
+/**
+ * Write a fetcher's state for `source` back to config.json. The file is
+ * re-read and only that source's fields are copied across, so fetchers
+ * finishing at different times don't overwrite each other's updates.
+ */
+const saveFetchState = (businesses, source) => {
+  const fetched = new Map(businesses.map((b) => [b.slug, b]));
+  const config = loadConfig();
+  for (const business of config) {
+    const updated = fetched.get(business.slug);
+    if (!updated) continue;
+    for (const field of getFetchStateFields(source)) {
+      if (updated[field] === undefined) delete business[field];
+      else business[field] = updated[field];
+    }
+  }
+  saveConfig(config);
+};
+
+/**
+ * Report what a fetch would do, writing nothing and calling nothing:
+ * which businesses are due and the actor input each would be sent. With
+ * `replay`, the archived responses stand in for the fetch and the review
+ * files they would create are listed too. Returns a summary per business
+ * as { slug, due, created }.
+ */
+const dryRunBusinesses = async (businesses, options) => {
+  const { source, fetchReviews, getStartDate, incremental, replay } = options;
+  const summary = [];
   for (const business of businesses) {
-    if (!shouldProcess(business, source)) continue;
-    await processor(business, ensureDir(business));
+    const due = replay || shouldFetch(business, source);
+    // Prefixed with the source, as fetch-all-reviews.js interleaves fetchers
+    const prefix = `${source}: ${business.slug}:`;
+    console.log(`${prefix} ${due ? "due" : "not due"}`);
+    if (!due) {
+      summary.push({ slug: business.slug, due, created: [] });
+      continue;
+    }
+
+    const businessDir = path.join(CONFIG.reviewsDir, business.slug);
+    const fetchOptions = {
+      ...getFetchOptions(business, businessDir, {
+        source,
+        getStartDate,
+        incremental,
+      }),
+      source,
+      dryRun: true,
+    };
+    const responses = replay
+      ? listRawResponses(business.slug, source)
+          .map(readJsonSafe)
+          .filter(Boolean)
+      : [null];
+    const reviews = [];
+    for (const response of responses) {
+      const fetched = await fetchReviews(business, {
+        ...fetchOptions,
+        ...(response && { replay: response }),
+      });
+      reviews.push(...(fetched || []));
+    }
+
+    const created = planReviewSaves(
+      filterByMinRating(business.minimum_star_rating)(reviews),
+      businessDir,
+      source,
+    );
+    for (const file of created) console.log(`${prefix} + ${file}`);
+    if (replay) console.log(`${prefix} ${created.length} new`);
+    summary.push({ slug: business.slug, due, created });
+  }
+  return summary;
+};
+
+// A concurrency flag's value as a positive whole number, if it was given
+const parseConcurrency = (value, flag) => {
+  if (value === undefined) return undefined;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`--${flag} must be a whole number of at least 1`);
   }
+  return limit;
+};
+
+// Fetcher command line: [slug] [--replay] [--dry-run] [--concurrency N]
+// [--global-concurrency N]
+const parseFetcherArgs = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    strict: false,
+    options: {
+      replay: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      concurrency: { type: "string" },
+      "global-concurrency": { type: "string" },
+      // fetch-all-reviews.js's; declared so its value isn't taken as the slug
+      source: { type: "string" },
+    },
+  });
+  return {
+    slug: positionals[0],
+    replay: values.replay === true,
+    dryRun: values["dry-run"] === true,
+    concurrency: parseConcurrency(values.concurrency, "concurrency"),
+    globalConcurrency: parseConcurrency(
+      values["global-concurrency"],
+      "global-concurrency",
+    ),
+  };
 };
 
 /**
- * Create a main runner function for a review platform
+ * Create a main runner function for a review platform. With --replay it
+ * reprocesses every matching business's archived responses instead of
+ * fetching, and with --dry-run it only reports what it would do (see
+ * dryRunBusinesses). Neither needs an API token.
  */
 const createReviewFetcher = (options) => {
-  const { platformField, source, envTokenName, fetchReviews, getStartDate } =
-    options;
+  const {
+    platformField,
+    source,
+    envTokenName,
+    fetchReviews,
+    getStartDate,
+    incremental,
+  } = options;
 
   const processor = createBusinessProcessor({
     source,
     fetchReviews,
     getStartDate,
+    incremental,
   });
+  const replayProcessor = createReplayProcessor({ source, fetchReviews });
 
   return async () => {
-    if (!process.env[envTokenName]) {
+    const { slug, replay, dryRun, concurrency, globalConcurrency } =
+      parseFetcherArgs(process.argv.slice(2));
+    if (concurrency) CONFIG.fetchConcurrency = concurrency;
+    if (globalConcurrency) CONFIG.globalFetchConcurrency = globalConcurrency;
+    if (!replay && !dryRun && !process.env[envTokenName]) {
       process.exit(1);
       return;
     }
@@ -536,18 +1704,44 @@ const createReviewFetcher = (options) => {
     const config = loadConfig();
     const businesses = pipe(
       filterByPlatform(platformField),
-      filterBySlug(process.argv[2]),
+      filterBySlug(slug),
     )(config);
 
-    if (businesses.length > 0) {
-      await processBusinesses(
-        businesses,
-        processor,
-        ensureBusinessDir,
-        shouldFetch,
+    if (dryRun) {
+      await dryRunBusinesses(businesses, {
         source,
-      );
-      saveConfig(config);
+        fetchReviews,
+        getStartDate,
+        incremental,
+        replay,
+      });
+      return;
+    }
+
+    if (businesses.length > 0) {
+      const failures = replay
+        ? await processBusinesses(
+            businesses,
+            replayProcessor,
+            ensureBusinessDir,
+            () => true,
+            source,
+          )
+        : await processBusinesses(
+            businesses,
+            processor,
+            ensureBusinessDir,
+            shouldFetch,
+            source,
+          );
+      // Saved either way, keeping the businesses that did succeed
+      if (!replay) saveFetchState(businesses, source);
+      if (failures.length > 0) {
+        console.error(
+          `${source}: ${failures.length} business(es) failed: ${failures.map((f) => f.slug).join(", ")}`,
+        );
+        process.exitCode = 1;
+      }
     }
   };
 };
@@ -557,22 +1751,29 @@ const createReviewFetcher = (options) => {
  * Reduces duplication across fetch-*.js files
  */
 const createApifyFetcher = (actorId, urlField, normalize) => {
-  const token = process.env.APIFY_API_TOKEN;
-
   return async (business, options = {}) => {
-    const url = `https://api.apify.com/v2/acts/${actorId}/run-sync-get-dataset-items?token=${token}`;
     const data = {
       startUrls: [{ url: business[urlField] }],
       maxReviews: options.maxReviews || CONFIG.maxReviews,
       ...options.extraParams,
     };
 
-    const results = await fetchApiArray(url, data);
+    const results = await runApifyActor(actorId, data, business, options);
+    if (results === null) return null;
 
     return pipe(map(normalize), filter(hasContent))(results);
   };
 };
 
+// Extract the post ID from a Facebook review URL, in either the
+// /<user>/posts/<id> or permalink.php?story_fbid=<id> form
+const extractFacebookPostId = (url) => {
+  if (!url) return null;
+  const match =
+    url.match(/\/posts\/([^/?#]+)/) || url.match(/[?&]story_fbid=([^&#]+)/);
+  return match ? match[1] : null;
+};
+
 // Extract user ID from Google Maps contributor URL
 const extractGoogleUserId = (authorUrl) => {
   if (!authorUrl) return null;
@@ -586,14 +1787,23 @@ const extractGoogleUserId = (authorUrl) => {
 
 // Higher number wins when the same review appears on multiple platforms.
 const SOURCE_PRIORITY = {
-  trustpilot: 3,
-  google: 2,
+  trustpilot: 6,
+  google: 5,
+  checkatrade: 4,
+  tripadvisor: 3,
+  yelp: 2,
   facebook: 1,
 };
 
+// Every platform with a fetcher. Anything else is an imported source.
+const FETCHED_SOURCES = Object.keys(SOURCE_PRIORITY);
+
 // Reviews stored before the `source` field existed were all Google.
+// Imported sources ("manual" etc.) lose to any platform copy.
 const getSourcePriority = (review) =>
-  SOURCE_PRIORITY[review.source] ?? SOURCE_PRIORITY.google;
+  review.source
+    ? (SOURCE_PRIORITY[review.source] ?? 0)
+    : SOURCE_PRIORITY.google;
 
 // Normalise a string for comparison: lowercase, collapse whitespace, trim.
 const normaliseForComparison = (s) =>
@@ -632,61 +1842,96 @@ const deduplicateReviews = (reviews) => {
 
 export {
   // Business logic helpers
+  archiveRawResponse,
   buildFetchOptions,
+  buildOwnerResponse,
   buildReviewData,
+  buildTitledContent,
   CONFIG,
   checkImagePreconditions,
   collectAndProcessImage,
   createApifyFetcher,
   createBusinessProcessor,
   createImageErrorHandler,
+  createPool,
+  createReplayProcessor,
   // Additional internal helpers for full coverage
   createResponseHandler,
   createReviewFetcher,
   deduplicateReviews,
   downloadAndProcessImage,
   downloadImageWithCurl,
+  dryRunBusinesses,
   ensureBusinessDir,
+  extractFacebookPostId,
   extractGoogleUserId,
+  FETCHED_SOURCES,
   fetchApiArray,
   filter,
   filterByMinRating,
   filterByPlatform,
   filterBySlug,
+  findStoredReview,
   flatMap,
   formatFilename,
   // Pure helpers for testing
   formatRating,
+  getFetchOptions,
+  getIdentityKeys,
   getImagePaths,
   getLatestReviewDate,
   getProtocolModule,
+  getRetryDelay,
+  getReviewIdentity,
+  getReviewPhotoId,
   handleApiRequestError,
   handleApiTimeout,
   handleImageResponse,
   // FP-style helpers
   hasContent,
+  hasReviewChanged,
   imageFilesExist,
   isDnsError,
+  isFullFetch,
+  isFullResyncDue,
   isRedirect,
+  isRetryableError,
+  isReviewFile,
+  listBusinessDirs,
+  listRawResponses,
   loadConfig,
   loadEnv,
+  loadReviewIdentities,
+  loadReviewIndex,
   makeApiRequest,
   makeApiRequestCurl,
   makeApiRequestHttps,
   map,
+  markRemovedReviews,
+  parseFetcherArgs,
+  parseRetryAfter,
   parseUrlSafe,
   pipe,
+  planReviewSaves,
   processBusinesses,
   processImageBuffer,
+  readJsonSafe,
+  rebuildReviewIndex,
+  REVIEW_INDEX_FILE,
+  runApifyActor,
   saveConfig,
+  saveFetchState,
   saveReview,
   saveReviewsWithCount,
   setupTimeout,
   shouldFetch,
   tryCurlDownload,
   // Internal helpers exported for testing
+  tryDownloadReviewPhotos,
   tryDownloadThumbnail,
   updateLastFetched,
+  updateStoredReview,
   validateArrayResponse,
   validateImageInputs,
+  withRetry,
 };
@@ -0,0 +1,297 @@
+/**
+ * Schemas for config.json and the review files in data/<slug>/, and a
+ * validator for them.
+ *
+ * The schemas are plain JSON Schema, but only the keywords listed in
+ * checkValue are understood - enough for these two files without pulling
+ * in a validation library. Problems come back as "path: reason" strings.
+ */
+
+// Lowercase letters, digits and dashes, as used for slugs and sources
+const NAME_PATTERN = "^[a-z0-9][a-z0-9-]*$";
+
+// Fetch state written per source by the fetchers. Sources aren't listed
+// so that imported and test sources don't need adding here.
+const FETCH_STATE_PATTERN =
+  "^(last_fetched|last_full_fetch|apify_run)_[a-z0-9-]+$";
+const RUN_FULL_FETCH_PATTERN = "^apify_run_full_[a-z0-9-]+$";
+
+const THEME_SCHEMA = {
+  type: "object",
+  properties: {
+    accent_color: { type: "string" },
+    star_color: { type: "string" },
+    card_background: { type: "string" },
+    text_color: { type: "string" },
+    font_family: { type: "string" },
+    // Pixels only: the masonry script measures text at this size
+    font_size: { type: ["number", "string"], pattern: "^\\d+(\\.\\d+)?(px)?$" },
+    line_height: { type: ["number", "string"] },
+    border_radius: { type: ["number", "string"] },
+    shadow: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+const BUSINESS_SCHEMA = {
+  type: "object",
+  required: [
+    "slug",
+    "number_of_reviews",
+    "minimum_star_rating",
+    "fetch_frequency_days",
+  ],
+  properties: {
+    slug: { type: "string", pattern: NAME_PATTERN },
+    // Platform fields; null is the same as leaving one out
+    google_business_id: { type: ["string", "null"] },
+    facebook_page_url: { type: ["string", "null"] },
+    trustpilot_url: { type: ["string", "null"] },
+    yelp_url: { type: ["string", "null"] },
+    tripadvisor_url: { type: ["string", "null"] },
+    checkatrade_url: { type: ["string", "null"] },
+    number_of_reviews: { type: "integer", minimum: -1 },
+    minimum_star_rating: { type: "number", minimum: 0, maximum: 5 },
+    fetch_frequency_days: { type: "number", minimum: 0 },
+    full_resync_days: { type: "number", minimum: 0 },
+    apify_async: { type: "boolean" },
+    show_summary: { type: "boolean" },
+    show_owner_responses: { type: "boolean" },
+    show_sub_ratings: { type: "boolean" },
+    name: { type: "string" },
+    url: { type: "string" },
+    schema_review_count: { type: "integer", minimum: 0 },
+    theme: THEME_SCHEMA,
+    color_scheme: { enum: ["light", "dark", "auto"] },
+    locale: { type: "string" },
+    // Written before fetch state was kept per source. `source` is no longer
+    // read; `last_fetched` still stands in for a source that has no
+    // last_fetched_<source> yet, but fetchers don't write it
+    source: { type: "string", deprecated: true },
+    last_fetched: { type: ["string", "null"], deprecated: true },
+  },
+  patternProperties: {
+    [FETCH_STATE_PATTERN]: { type: ["string", "null"] },
+    [RUN_FULL_FETCH_PATTERN]: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+const CONFIG_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "config.json",
+  type: "array",
+  items: BUSINESS_SCHEMA,
+};
+
+const ISO_DATE = "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?Z$";
+
+const OWNER_RESPONSE_SCHEMA = {
+  type: ["object", "null"],
+  required: ["content"],
+  properties: {
+    content: { type: "string" },
+    date: { type: ["string", "null"], pattern: ISO_DATE },
+  },
+  additionalProperties: false,
+};
+
+const REVIEW_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "data/<slug>/<review>.json",
+  type: "object",
+  required: ["author", "rating", "date"],
+  properties: {
+    author: { type: "string" },
+    authorUrl: { type: ["string", "null"] },
+    // Checkatrade's out-of-10 scores halve to as little as 0.5, and a
+    // review with no score at all is stored as 0
+    rating: { type: "number", minimum: 0, maximum: 5 },
+    // Rating-only reviews saved before they were filtered out have none
+    content: { type: ["string", "null"] },
+    date: { type: "string", pattern: ISO_DATE },
+    userId: { type: ["string", "null"] },
+    thumbnail: { type: ["string", "null"] },
+    // Missing on files saved before other platforms were added: Google
+    source: { type: "string", pattern: NAME_PATTERN },
+    reviewId: { type: ["string", "null"] },
+    ownerResponse: OWNER_RESPONSE_SCHEMA,
+    photos: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["url"],
+        properties: {
+          url: { type: "string" },
+          thumbnail: { type: ["string", "null"] },
+        },
+        additionalProperties: false,
+      },
+    },
+    tripType: { type: "string" },
+    subRatings: {
+      type: "object",
+      additionalProperties: { type: "number" },
+    },
+    editHistory: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["rating", "replacedAt"],
+        properties: {
+          content: { type: ["string", "null"] },
+          rating: { type: "number" },
+          replacedAt: { type: "string", pattern: ISO_DATE },
+        },
+        additionalProperties: false,
+      },
+    },
+    removed: { type: "boolean" },
+    removedAt: { type: "string", pattern: ISO_DATE },
+  },
+  additionalProperties: false,
+};
+
+// ---------------------------------------------------------------------------
+// Validator
+// ---------------------------------------------------------------------------
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  type === "integer" ? Number.isInteger(value) : type === typeOf(value);
+
+// Edit distance, to suggest the intended key for a misspelt one
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const suggestKey = (key, known) => {
+  const closest = known
+    .map((candidate) => ({ candidate, distance: editDistance(key, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return closest && closest.distance <= 2
+    ? ` (did you mean "${closest.candidate}"?)`
+    : "";
+};
+
+const joinPath = (at, key) =>
+  typeof key === "number" ? `${at}[${key}]` : at ? `${at}.${key}` : key;
+
+const checkObject = (schema, value, at) => {
+  const properties = schema.properties || {};
+  const patterns = Object.entries(schema.patternProperties || {}).map(
+    ([pattern, propertySchema]) => [new RegExp(pattern), propertySchema],
+  );
+  const errors = (schema.required || [])
+    .filter((key) => !Object.hasOwn(value, key))
+    .map((key) => `${joinPath(at, key)}: is required`);
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const keyPath = joinPath(at, key);
+    const matching = [
+      ...(Object.hasOwn(properties, key) ? [properties[key]] : []),
+      ...patterns
+        .filter(([pattern]) => pattern.test(key))
+        .map(([, propertySchema]) => propertySchema),
+    ];
+    if (matching.length > 0) {
+      for (const propertySchema of matching) {
+        errors.push(...checkValue(propertySchema, propertyValue, keyPath));
+      }
+    } else if (schema.additionalProperties === false) {
+      errors.push(
+        `${keyPath}: unknown key${suggestKey(key, Object.keys(properties))}`,
+      );
+    } else if (schema.additionalProperties) {
+      errors.push(
+        ...checkValue(schema.additionalProperties, propertyValue, keyPath),
+      );
+    }
+  }
+  return errors;
+};
+
+/**
+ * Check a value against a schema. Understands type, enum, minimum,
+ * maximum, pattern, required, properties, patternProperties,
+ * additionalProperties and items; other keywords are ignored.
+ */
+const checkValue = (schema, value, at = "") => {
+  const where = at || "(root)";
+  const types = [schema.type || []].flat();
+  if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+    return [`${where}: should be ${types.join(" or ")}, not ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${where}: should be one of ${schema.enum.join(", ")}`];
+  }
+
+  const errors = [];
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where}: should be at most ${schema.maximum}`);
+    }
+  }
+  if (
+    typeof value === "string" &&
+    schema.pattern &&
+    !new RegExp(schema.pattern).test(value)
+  ) {
+    errors.push(`${where}: "${value}" doesn't match ${schema.pattern}`);
+  }
+  if (typeOf(value) === "object")
+    errors.push(...checkObject(schema, value, at));
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...checkValue(schema.items, item, joinPath(at, i)));
+    });
+  }
+  return errors;
+};
+
+/**
+ * Problems with a parsed config.json, each as "path: reason" where the
+ * path starts with the business's slug (or its position if it has none).
+ */
+const validateConfig = (config) => {
+  if (!Array.isArray(config)) return checkValue(CONFIG_SCHEMA, config);
+
+  const seen = new Set();
+  return config.flatMap((business, i) => {
+    const label = typeof business?.slug === "string" ? business.slug : `[${i}]`;
+    const duplicate = seen.has(label) ? [`${label}: duplicate slug`] : [];
+    seen.add(label);
+    return [...duplicate, ...checkValue(BUSINESS_SCHEMA, business, label)];
+  });
+};
+
+// Problems with a parsed review file, each as "path: reason"
+const validateReview = (review) => checkValue(REVIEW_SCHEMA, review);
+
+export {
+  CONFIG_SCHEMA,
+  checkValue,
+  REVIEW_SCHEMA,
+  validateConfig,
+  validateReview,
+};
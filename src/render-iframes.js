@@ -4,23 +4,52 @@ import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { filter, map, pipe, sort } from "#toolkit/fp/index.js";
-import { CONFIG, deduplicateReviews, loadConfig } from "./lib/shared.js";
+import { escapeAttr, escapeHtml, jsonForScript, safeUrl } from "./lib/html.js";
+import {
+  DEFAULT_LOCALE,
+  resolveLocale,
+  textDirection,
+  translate,
+} from "./lib/i18n.js";
+import { formatRelativeDate } from "./lib/relative-time.js";
+import {
+  CONFIG,
+  deduplicateReviews,
+  loadConfig,
+  loadReviewIndex,
+} from "./lib/shared.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.join(__dirname, "..");
 
 const TEMPLATE_PATH = path.join(__dirname, "iframe-layout.html");
 
-// Parse a review file
+// Parse a review file, skipping (with a warning) any that isn't valid JSON
 const parseReviewFile = (businessDir) => (file) => {
+  const filepath = path.join(businessDir, file);
   try {
-    const content = fs.readFileSync(path.join(businessDir, file), "utf8");
-    return JSON.parse(content);
-  } catch (_error) {
+    return JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (error) {
+    console.warn(`Skipping ${filepath}: ${error.message}`);
     return null;
   }
 };
 
+// Reviews deleted on their platform are kept on disk but never shown
+const isNotRemoved = (review) => !review.removed;
+
+const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
+
+// Turn parsed review files into the list to render: live reviews only,
+// deduplicated across sources, newest first
+const selectVisibleReviews = pipe(
+  filter((review) => review !== null),
+  filter(isNotRemoved),
+  deduplicateReviews,
+  sort(byDateDesc),
+);
+
+// The review index lets removed reviews be skipped without reading them
 function loadReviews(businessSlug) {
   const businessDir = path.join(CONFIG.reviewsDir, businessSlug);
 
@@ -28,48 +57,25 @@ function loadReviews(businessSlug) {
     return [];
   }
 
-  const isJsonFile = (file) => file.endsWith(".json");
-  const isNotNull = (review) => review !== null;
-  const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
-
+  const index = loadReviewIndex(businessDir);
   return pipe(
-    filter(isJsonFile),
+    filter((file) => !index[file].removed),
     map(parseReviewFile(businessDir)),
-    filter(isNotNull),
-    deduplicateReviews,
-    sort(byDateDesc),
-  )(fs.readdirSync(businessDir));
-}
-
-// Date formatting helpers - broken into small functions
-const daysBetween = (date1, date2) =>
-  Math.ceil(Math.abs(date2 - date1) / (1000 * 60 * 60 * 24));
-
-const formatRelativeTime = (diffDays) => {
-  const units = [
-    { threshold: 0, label: "Today" },
-    { threshold: 1, label: "Yesterday" },
-    { threshold: 7, calc: (d) => `${d} days ago` },
-    { threshold: 30, calc: (d) => `${Math.floor(d / 7)} weeks ago` },
-    { threshold: 365, calc: (d) => `${Math.floor(d / 30)} months ago` },
-  ];
-
-  for (const unit of units) {
-    if (diffDays <= unit.threshold) {
-      return unit.label || unit.calc(diffDays);
-    }
-  }
-  // More than a year
-  return `${Math.floor(diffDays / 365)} years ago`;
-};
+    selectVisibleReviews,
+  )(Object.keys(index));
+}
 
-const formatDate = (dateString) => {
-  const diffDays = daysBetween(new Date(dateString), new Date());
-  return formatRelativeTime(diffDays);
+// Machine-readable date for <time datetime>. Falls back to the stored
+// string if it doesn't parse, so nothing is silently dropped.
+const toIsoDate = (dateString) => {
+  const date = new Date(dateString);
+  return Number.isNaN(date.getTime())
+    ? String(dateString ?? "")
+    : date.toISOString();
 };
 
 function getInitials(name) {
-  return name
+  return (name || "")
     .split(" ")
     .map((word) => word.charAt(0))
     .join("")
@@ -78,69 +84,489 @@ function getInitials(name) {
 }
 
 function renderStars(rating) {
+  // Ratings come from scraped data, so coerce before comparing
+  const value = Number(rating) || 0;
   let stars = "";
   for (let i = 1; i <= 5; i++) {
-    const filled = i <= rating ? "filled" : "empty";
+    const filled = i <= value ? "filled" : "empty";
     stars += `<span class="star ${filled}">★</span>`;
   }
   return `<div class="star-rating">${stars}</div>`;
 }
 
-function renderRating(review) {
+// Tripadvisor's own rating style: green circles rather than stars
+function renderBubbles(rating) {
+  const value = Number(rating) || 0;
+  let bubbles = "";
+  for (let i = 1; i <= 5; i++) {
+    const filled = i <= value ? "filled" : "empty";
+    bubbles += `<span class="bubble ${filled}"></span>`;
+  }
+  return `<div class="bubble-rating" role="img" aria-label="${escapeAttr(`${value}/5`)}">${bubbles}</div>`;
+}
+
+// i18n keys for the sub-scores the Checkatrade fetcher stores, in display
+// order
+const SUB_RATING_KEYS = {
+  workmanship: "subRatingWorkmanship",
+  tidiness: "subRatingTidiness",
+  reliability: "subRatingReliability",
+  courtesy: "subRatingCourtesy",
+};
+
+// "Workmanship 4.5 · Tidiness 5", truncated to fit the meta line. The
+// title attribute carries the full list for narrow cards.
+function renderSubRatings(subRatings, locale) {
+  const format = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+  const parts = Object.keys(SUB_RATING_KEYS)
+    .filter((key) => Number.isFinite(Number(subRatings?.[key])))
+    .map(
+      (key) =>
+        `${translate(locale, SUB_RATING_KEYS[key])} ${format.format(Number(subRatings[key]))}`,
+    );
+  if (parts.length === 0) return "";
+  const text = parts.join(" · ");
+  return `<span class="sub-ratings" title="${escapeAttr(text)}">${escapeHtml(text)}</span>`;
+}
+
+function renderRating(review, locale = DEFAULT_LOCALE, showSubRatings = false) {
   // For Facebook, show "Recommends" badge
   if (review.source === "facebook") {
     return review.rating === 5
-      ? '<span class="recommended-badge">👍 Recommends</span>'
-      : '<span class="not-recommended-badge">Does not recommend</span>';
+      ? `<span class="recommended-badge">👍 ${escapeHtml(translate(locale, "recommends"))}</span>`
+      : `<span class="not-recommended-badge">${escapeHtml(translate(locale, "notRecommends"))}</span>`;
+  }
+  // Yelp's display terms ask for the reviews to be credited to Yelp
+  if (review.source === "yelp") {
+    return `${renderStars(review.rating)}<span class="review-source">${escapeHtml(SOURCE_LABELS.yelp)}</span>`;
+  }
+  if (review.source === "tripadvisor") {
+    return renderBubbles(review.rating);
+  }
+  // Checkatrade's workmanship/tidiness/... scores, when the business opts in
+  if (showSubRatings && review.subRatings) {
+    return `${renderStars(review.rating)}${renderSubRatings(review.subRatings, locale)}`;
   }
   // For Google/Trustpilot, show star rating
   return renderStars(review.rating);
 }
 
-function renderReviewCard(review) {
-  const initials = getInitials(review.author);
-  const authorLink = review.authorUrl
-    ? `<a href="${review.authorUrl}" target="_blank" rel="noopener noreferrer">${review.author}</a>`
-    : review.author;
+// i18n keys for the trip types the Tripadvisor fetcher stores
+const TRIP_TYPE_KEYS = {
+  business: "tripBusiness",
+  couples: "tripCouples",
+  family: "tripFamily",
+  friends: "tripFriends",
+  solo: "tripSolo",
+};
 
-  // Use thumbnail image if available, otherwise fall back to initials
-  let avatarContent = initials;
-  if (review.thumbnail) {
-    const thumb2x = review.thumbnail.replace(".webp", "@2x.webp");
-    avatarContent = `<img src="${review.thumbnail}" srcset="${review.thumbnail} 1x, ${thumb2x} 2x" alt="${review.author}" class="review-avatar-img" loading="lazy" decoding="async" onerror="this.parentElement.innerHTML='${initials}'">`;
-  }
+function renderTripType(tripType, locale) {
+  if (!Object.hasOwn(TRIP_TYPE_KEYS, tripType || "")) return "";
+  const label = translate(locale, TRIP_TYPE_KEYS[tripType]);
+  return `
+              <span class="review-trip-type">${escapeHtml(label)}</span>`;
+}
+
+function renderAvatar(review, initials) {
+  if (!review.thumbnail) return escapeHtml(initials);
+
+  // Falls back to initials via the data attribute rather than inlining them
+  // into the handler, so review text never lands in a JavaScript context.
+  const thumb = escapeAttr(review.thumbnail);
+  const thumb2x = escapeAttr(review.thumbnail.replace(".webp", "@2x.webp"));
+  return `<img src="${thumb}" srcset="${thumb} 1x, ${thumb2x} 2x" alt="${escapeAttr(review.author)}" class="review-avatar-img" loading="lazy" decoding="async" onerror="this.parentElement.textContent=this.parentElement.dataset.initials">`;
+}
+
+function renderAuthor(review) {
+  const author = escapeHtml(review.author);
+  const authorUrl = safeUrl(review.authorUrl);
+  return authorUrl
+    ? `<a href="${escapeAttr(authorUrl)}" target="_blank" rel="noopener noreferrer">${author}</a>`
+    : author;
+}
+
+function renderPhoto(photo, alt) {
+  const thumb = escapeAttr(photo.thumbnail);
+  const thumb2x = escapeAttr(photo.thumbnail.replace(".webp", "@2x.webp"));
+  const img = `<img src="${thumb}" srcset="${thumb} 1x, ${thumb2x} 2x" width="64" height="64" alt="${escapeAttr(alt)}" class="review-photo" loading="lazy" decoding="async">`;
+  const url = safeUrl(photo.url);
+  return url
+    ? `<a href="${escapeAttr(url)}" target="_blank" rel="noopener noreferrer">${img}</a>`
+    : img;
+}
+
+// One fixed-height row of thumbnails, so masonry.js can predict the card
+// height without loading the images
+function renderPhotos(photos, locale) {
+  const withThumbnails = (photos || []).filter((photo) => photo?.thumbnail);
+  if (withThumbnails.length === 0) return "";
+  const alt = translate(locale, "reviewPhoto");
+  const items = withThumbnails.map((photo) => renderPhoto(photo, alt));
+  return `
+        <div class="review-photos">${items.join("")}</div>`;
+}
+
+// Collapsed by default so long replies don't dominate the grid;
+// masonry.js re-lays out when one is opened
+function renderOwnerResponse(response, locale) {
+  if (!response?.content) return "";
+  return `
+        <details class="owner-response">
+          <summary>${escapeHtml(translate(locale, "ownerResponse"))}</summary>
+          <div class="owner-response-content">${escapeHtml(response.content)}</div>
+        </details>`;
+}
+
+/**
+ * Render one review card. `options` takes the same `showOwnerResponses`
+ * and `showSubRatings` flags as generateReviewsHtml.
+ */
+function renderReviewCard(review, locale = DEFAULT_LOCALE, options = {}) {
+  const initials = getInitials(review.author);
+  const ownerResponseHtml = options.showOwnerResponses
+    ? renderOwnerResponse(review.ownerResponse, locale)
+    : "";
 
   return `
       <div class="review-card">
         <div class="review-header">
-          <div class="review-avatar">${avatarContent}</div>
+          <div class="review-avatar" data-initials="${escapeAttr(initials)}">${renderAvatar(review, initials)}</div>
           <div class="review-info">
-            <div class="review-author">${authorLink}</div>
+            <div class="review-author">${renderAuthor(review)}</div>
             <div class="review-meta">
-              ${renderRating(review)}
-              <span class="review-date">${formatDate(review.date)}</span>
+              ${renderRating(review, locale, Boolean(options.showSubRatings))}
+              <time class="review-date" datetime="${escapeAttr(toIsoDate(review.date))}">${escapeHtml(formatRelativeDate(review.date, new Date(), locale))}</time>${renderTripType(review.tripType, locale)}
             </div>
           </div>
         </div>
-        <div class="review-content">${review.content || ""}</div>
+        <div class="review-content">${escapeHtml(review.content)}</div>${renderPhotos(review.photos, locale)}${ownerResponseHtml}
       </div>
     `;
 }
 
-function generateReviewsHtml(reviews) {
+// ---------------------------------------------------------------------------
+// Rating summary
+// ---------------------------------------------------------------------------
+
+// Display names for the per-source breakdown, in display order
+const SOURCE_LABELS = {
+  google: "Google",
+  trustpilot: "Trustpilot",
+  tripadvisor: "Tripadvisor",
+  checkatrade: "Checkatrade",
+  yelp: "Yelp",
+  facebook: "Facebook",
+  manual: "Testimonials",
+};
+
+// Reviews stored before the `source` field existed were all Google.
+const getSource = (review) => review.source || "google";
+
+// Facebook only has recommend / not recommend. The stored 5/1 rating is a
+// stand-in, so those reviews count towards totals but not star averages.
+const hasStarRating = (review) => getSource(review) !== "facebook";
+
+const roundToTenth = (n) => Math.round(n * 10) / 10;
+
+const averageRating = (reviews) =>
+  reviews.length === 0
+    ? null
+    : roundToTenth(
+        reviews.reduce((sum, r) => sum + (Number(r.rating) || 0), 0) /
+          reviews.length,
+      );
+
+const buildHistogram = (starReviews) => {
+  const histogram = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  for (const review of starReviews) {
+    const stars = Math.round(Number(review.rating));
+    if (histogram[stars] !== undefined) histogram[stars]++;
+  }
+  return histogram;
+};
+
+const summariseSource = (source, reviews) => {
+  const count = reviews.length;
+  if (source === "facebook") {
+    const recommends = reviews.filter((r) => r.rating === 5).length;
+    return { source, count, recommends };
+  }
+  return { source, count, average: averageRating(reviews) };
+};
+
+/**
+ * Summarise a (deduplicated) set of reviews: overall star average, total
+ * count, 1-5 star histogram and a per-source breakdown.
+ */
+function computeRatingSummary(reviews) {
+  const starReviews = reviews.filter(hasStarRating);
+
+  const bySource = new Map();
+  for (const review of reviews) {
+    const source = getSource(review);
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(review);
+  }
+
+  const knownSources = Object.keys(SOURCE_LABELS);
+  const sourceOrder = (a, b) =>
+    knownSources.indexOf(a) - knownSources.indexOf(b);
+
+  return {
+    total: reviews.length,
+    average: averageRating(starReviews),
+    ratedCount: starReviews.length,
+    histogram: buildHistogram(starReviews),
+    sources: Array.from(bySource.keys())
+      .sort(sourceOrder)
+      .map((source) => summariseSource(source, bySource.get(source))),
+  };
+}
+
+// One decimal place, with the locale's decimal separator ("4,8" in French)
+const formatAverage = (average, locale) =>
+  new Intl.NumberFormat(locale, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  }).format(average);
+
+const formatReviewCount = (count, locale) =>
+  translate(locale, "reviewCount", { count });
+
+function renderHistogram(summary) {
+  const rows = [5, 4, 3, 2, 1].map((stars) => {
+    const count = summary.histogram[stars];
+    const percent = summary.ratedCount
+      ? Math.round((count / summary.ratedCount) * 100)
+      : 0;
+    return `<div class="summary-histogram-row"><span class="summary-histogram-label">${stars}★</span><span class="summary-histogram-bar"><span style="width: ${percent}%"></span></span><span class="summary-histogram-count">${count}</span></div>`;
+  });
+  return `<div class="summary-histogram">${rows.join("")}</div>`;
+}
+
+function renderSourceSummary(sourceSummary, locale) {
+  const label = escapeHtml(
+    SOURCE_LABELS[sourceSummary.source] || sourceSummary.source,
+  );
+  const detail =
+    sourceSummary.source === "facebook"
+      ? translate(locale, "recommendCount", {
+          recommends: sourceSummary.recommends,
+          count: sourceSummary.count,
+        })
+      : translate(locale, "averageFrom", {
+          average: formatAverage(sourceSummary.average, locale),
+          reviews: formatReviewCount(sourceSummary.count, locale),
+        });
+  return `<li class="summary-source"><span class="summary-source-name">${label}</span> ${escapeHtml(detail)}</li>`;
+}
+
+function renderSummary(summary, locale = DEFAULT_LOCALE) {
+  const average =
+    summary.average === null
+      ? ""
+      : `<div class="summary-average">${formatAverage(summary.average, locale)}</div>${renderStars(Math.round(summary.average))}`;
+
+  return `<div class="reviews-summary">
+      <div class="summary-overall">
+        ${average}
+        <div class="summary-total">${escapeHtml(formatReviewCount(summary.total, locale))}</div>
+      </div>
+      ${summary.ratedCount ? renderHistogram(summary) : ""}
+      <ul class="summary-sources">${summary.sources.map((source) => renderSourceSummary(source, locale)).join("")}</ul>
+    </div>`;
+}
+
+// ---------------------------------------------------------------------------
+// Structured data (schema.org JSON-LD)
+// ---------------------------------------------------------------------------
+
+// Number of individual Review objects to include when schema_review_count
+// is not set for a business
+const DEFAULT_SCHEMA_REVIEW_COUNT = 10;
+
+const toSchemaRating = (rating) => ({
+  "@type": "Rating",
+  ratingValue: rating,
+  bestRating: 5,
+  worstRating: 1,
+});
+
+const toSchemaReview = (review) => ({
+  "@type": "Review",
+  author: { "@type": "Person", name: review.author || "Anonymous" },
+  datePublished: String(review.date).split("T")[0],
+  reviewBody: review.content || "",
+  ...(hasStarRating(review) && {
+    reviewRating: toSchemaRating(Number(review.rating) || 0),
+  }),
+  publisher: {
+    "@type": "Organization",
+    name: SOURCE_LABELS[getSource(review)] || getSource(review),
+  },
+});
+
+/**
+ * Build a LocalBusiness JSON-LD object with an AggregateRating and the
+ * newest reviews, from the same deduplicated set the iframe renders.
+ */
+function generateSchema(business, reviews) {
+  const summary = computeRatingSummary(reviews);
+  const reviewCount =
+    business.schema_review_count ?? DEFAULT_SCHEMA_REVIEW_COUNT;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "LocalBusiness",
+    name: business.name || business.slug,
+    ...(business.url && { url: business.url }),
+    ...(summary.ratedCount > 0 && {
+      aggregateRating: {
+        "@type": "AggregateRating",
+        ratingValue: summary.average,
+        reviewCount: summary.ratedCount,
+        bestRating: 5,
+        worstRating: 1,
+      },
+    }),
+    review: reviews.slice(0, Math.max(0, reviewCount)).map(toSchemaReview),
+  };
+}
+
+function generateSchemaSnippet(schema) {
+  return `<!-- Structured data: paste into the <head> of the page hosting the reviews -->
+<script type="application/ld+json">
+${jsonForScript(schema)}
+</script>`;
+}
+
+function generateReviewsHtml(reviews, options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+
   if (!reviews || reviews.length === 0) {
-    return '<div class="no-reviews">No reviews available.</div>';
+    return `<div class="no-reviews">${escapeHtml(translate(locale, "noReviews"))}</div>`;
   }
 
+  const summaryHtml = options.showSummary
+    ? renderSummary(computeRatingSummary(reviews), locale)
+    : "";
+
   // Single set of cards in a masonry container.
   // Layout is computed client-side by the inline masonry script using
   // the greedy shortest-column algorithm with absolute positioning.
-  const cardsHtml = reviews.map(renderReviewCard).join("");
+  const cardsHtml = reviews
+    .map((review) => renderReviewCard(review, locale, options))
+    .join("");
+
+  return `${summaryHtml}<div class="masonry-container">${cardsHtml}</div>`;
+}
+
+// ---------------------------------------------------------------------------
+// Theme
+// ---------------------------------------------------------------------------
+
+// Theme keys in config.json and the CSS custom properties (defined on :root
+// in iframe-layout.html) that they override.
+const THEME_PROPERTIES = {
+  accent_color: "--avatar-background",
+  star_color: "--star-color",
+  card_background: "--card-background",
+  text_color: "--text-color",
+  font_family: "--font-family",
+  font_size: "--font-size",
+  line_height: "--line-height",
+  border_radius: "--border-radius",
+};
+
+// The dark palette sets its own card and text colours, so a theme's only
+// apply in the light scheme, where they can't end up unreadable together
+const LIGHT_SCHEME_THEME_KEYS = ["card_background", "text_color"];
 
-  return `<div class="masonry-container">${cardsHtml}</div>`;
+// Numeric values for these keys are pixels; line_height stays unitless.
+const PIXEL_THEME_KEYS = ["font_size", "border_radius"];
+
+// Characters that could end the declaration or the <style> element
+const UNSAFE_CSS_VALUE = /[;{}<>\\]/;
+
+// The masonry script reads --font-size back as a number of pixels, so a
+// font_size in any other unit would be measured wrongly
+const PIXEL_SIZE = /^\d+(\.\d+)?(px)?$/;
+
+const toCssValue = (key, value) => {
+  if (typeof value === "number") {
+    return PIXEL_THEME_KEYS.includes(key) ? `${value}px` : String(value);
+  }
+  if (typeof value !== "string" || UNSAFE_CSS_VALUE.test(value)) return null;
+  const trimmed = value.trim();
+  if (key === "font_size") {
+    return PIXEL_SIZE.test(trimmed) ? `${Number.parseFloat(trimmed)}px` : null;
+  }
+  return trimmed || null;
+};
+
+/**
+ * Turn a business `theme` block into a rule overriding the template's
+ * custom properties. Invalid values are skipped with a warning.
+ */
+function buildThemeCss(theme = {}) {
+  const declarations = [];
+  const lightDeclarations = [];
+
+  for (const [key, property] of Object.entries(THEME_PROPERTIES)) {
+    if (theme[key] === undefined || theme[key] === null) continue;
+    const value = toCssValue(key, theme[key]);
+    if (value === null) {
+      console.warn(`Ignoring invalid theme value for ${key}: ${theme[key]}`);
+      continue;
+    }
+    const target = LIGHT_SCHEME_THEME_KEYS.includes(key)
+      ? lightDeclarations
+      : declarations;
+    target.push(`${property}: ${value};`);
+  }
+
+  if (theme.shadow === false) declarations.push("--card-shadow: none;");
+
+  // Matches the dark palette's specificity so theme values win over it
+  const rules = [];
+  if (declarations.length) {
+    rules.push(`:root[data-color-scheme] { ${declarations.join(" ")} }`);
+  }
+  if (lightDeclarations.length) {
+    const light = lightDeclarations.join(" ");
+    rules.push(
+      `:root[data-color-scheme="light"] { ${light} }`,
+      `@media (prefers-color-scheme: light) { :root[data-color-scheme="auto"] { ${light} } }`,
+    );
+  }
+  return rules.join(" ");
 }
 
-function generateHtml(reviews) {
+// Values accepted for color_scheme in config.json and the ?color_scheme=
+// query parameter on the iframe URL
+const COLOR_SCHEMES = ["light", "dark", "auto"];
+
+const resolveColorScheme = (scheme) => {
+  if (!scheme) return "light";
+  if (COLOR_SCHEMES.includes(scheme)) return scheme;
+  console.warn(`Ignoring invalid color_scheme: ${scheme}`);
+  return "light";
+};
+
+function renderThemeStyle(theme) {
+  const css = buildThemeCss(theme || {});
+  return css ? `<style type="text/css">${css}</style>` : "";
+}
+
+// Fill each {{NAME}} placeholder in one pass. The values go in through a
+// replacer function, so `$&`-style patterns in review text are left alone,
+// and text already inserted is never searched for further placeholders.
+const fillTemplate = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    Object.hasOwn(values, name) ? values[name] : placeholder,
+  );
+
+function generateHtml(reviews, options = {}) {
   if (!fs.existsSync(TEMPLATE_PATH)) {
     throw new Error(`Template file not found: ${TEMPLATE_PATH}`);
   }
@@ -155,21 +581,34 @@ function generateHtml(reviews) {
   const masonryScriptPath = path.join(rootDir, "dist", "masonry.js");
   const masonryScript = fs.readFileSync(masonryScriptPath, "utf8");
 
-  // Generate reviews HTML
-  const reviewsHtml = generateReviewsHtml(reviews);
-
-  // Replace placeholders
-  let html = template.replace("{{REVIEWS_HTML}}", reviewsHtml);
-  html = html.replace("{{MASONRY_SCRIPT}}", masonryScript);
-  html = html.replace("{{IFRAME_RESIZER_SCRIPT}}", childScript);
+  const datesScriptPath = path.join(rootDir, "dist", "dates.js");
+  const datesScript = fs.readFileSync(datesScriptPath, "utf8");
 
-  return html;
+  // Generate reviews HTML
+  const reviewsHtml = generateReviewsHtml(reviews, options);
+  const locale = options.locale || DEFAULT_LOCALE;
+
+  return fillTemplate(template, {
+    REVIEWS_HTML: reviewsHtml,
+    LANG: escapeAttr(locale),
+    DIR: textDirection(locale),
+    TITLE: escapeHtml(translate(locale, "title")),
+    THEME_STYLE: renderThemeStyle(options.theme),
+    COLOR_SCHEME: resolveColorScheme(options.colorScheme),
+    DATES_SCRIPT: datesScript,
+    MASONRY_SCRIPT: masonryScript,
+    IFRAME_RESIZER_SCRIPT: childScript,
+  });
 }
 
-function generateEmbedCode(businessSlug) {
-  const iframeUrl = `https://reviews-embeds.chobble.com/${businessSlug}/`;
+function generateEmbedCode(businessSlug, options = {}) {
+  // A color_scheme here overrides the business setting baked into the page
+  const query = COLOR_SCHEMES.includes(options.colorScheme)
+    ? `?color_scheme=${options.colorScheme}`
+    : "";
+  const iframeUrl = `https://reviews-embeds.chobble.com/${encodeURIComponent(businessSlug)}/${query}`;
 
-  return `<!-- Reviews Embed Code for ${businessSlug} -->
+  return `<!-- Reviews Embed Code for ${escapeHtml(businessSlug)} -->
 <script async defer src="https://reviews-embeds.chobble.com/js"></script>
 <iframe
   class="reviews-iframe"
@@ -193,7 +632,14 @@ function renderBusiness(business) {
   }
 
   try {
-    const html = generateHtml(reviews);
+    const html = generateHtml(reviews, {
+      showSummary: business.show_summary,
+      showOwnerResponses: business.show_owner_responses,
+      showSubRatings: business.show_sub_ratings,
+      theme: business.theme,
+      colorScheme: business.color_scheme,
+      locale: resolveLocale(business.locale),
+    });
 
     const businessDir = path.join(CONFIG.reviewsDir, businessSlug);
     fs.mkdirSync(businessDir, { recursive: true });
@@ -201,9 +647,16 @@ function renderBusiness(business) {
     const htmlPath = path.join(businessDir, "index.html");
     fs.writeFileSync(htmlPath, html);
 
+    const schema = generateSchema(business, reviews);
+    const schemaPath = path.join(businessDir, "schema.json");
+    fs.writeFileSync(schemaPath, JSON.stringify(schema, null, 2));
+
     const embedCode = generateEmbedCode(businessSlug);
     const codePath = path.join(businessDir, "code.txt");
-    fs.writeFileSync(codePath, embedCode);
+    fs.writeFileSync(
+      codePath,
+      `${embedCode}\n\n${generateSchemaSnippet(schema)}\n`,
+    );
   } catch (_error) {
     // Skip business on error
   }
@@ -228,4 +681,24 @@ async function main() {
   }
 }
 
-main();
+export {
+  buildThemeCss,
+  computeRatingSummary,
+  fillTemplate,
+  generateEmbedCode,
+  generateReviewsHtml,
+  generateSchema,
+  generateSchemaSnippet,
+  getInitials,
+  renderRating,
+  renderReviewCard,
+  renderStars,
+  renderSummary,
+  renderThemeStyle,
+  renderTripType,
+  resolveColorScheme,
+  selectVisibleReviews,
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
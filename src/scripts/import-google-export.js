@@ -0,0 +1,153 @@
+#!/usr/bin/env bun
+
+/**
+ * Import Google reviews from a Google Business Profile export (Google
+ * Takeout), offline and without any Apify spend.
+ *
+ * The export holds one or more reviews*.json files, each with a `reviews`
+ * array in the Business Profile API format. Pass either one of those files
+ * or the folder Takeout produced; folders are searched recursively.
+ *
+ * Reviews are saved as `google` through saveReview. The export has neither
+ * the Maps review ID nor the reviewer's contributor ID the scraper sees, so
+ * imported files are matched by name and day: re-importing skips them,
+ * reviews we have already fetched are skipped, and the first fetch that
+ * returns an imported review adopts the file, filling in its IDs rather
+ * than saving a second copy.
+ *
+ *   bun src/scripts/import-google-export.js <slug> <export file or folder>
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+  buildOwnerResponse,
+  CONFIG,
+  filterByMinRating,
+  hasContent,
+  loadConfig,
+  saveReviewsWithCount,
+} from "../lib/shared.js";
+
+// The export spells star ratings out
+const STAR_RATINGS = { ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5 };
+
+// Reviews in another language are exported as
+// "(Translated by Google) ...\n\n(Original)\n...". Keep the original, as
+// that is what the scraper stores.
+// Exported for testing
+export const extractOriginalText = (text) => {
+  if (!text) return "";
+  const original = text.split("(Original)")[1];
+  return (original ?? text.replace(/^\(Translated by Google\)/, "")).trim();
+};
+
+// Transform an exported review to the normalized format
+// Exported for testing
+export const normalizeProfileReview = (review) => {
+  const reply = review.reviewReply || {};
+  return {
+    content: extractOriginalText(review.comment),
+    date: new Date(review.createTime),
+    rating: STAR_RATINGS[review.starRating] || 0,
+    author: review.reviewer?.displayName || "Anonymous",
+    authorUrl: "",
+    photoUrl: "",
+    userId: null,
+    reviewId: null,
+    imageUrls: [],
+    ownerResponse: buildOwnerResponse(
+      extractOriginalText(reply.comment),
+      reply.updateTime,
+    ),
+  };
+};
+
+const isExportFile = (file) => /^reviews.*\.json$/i.test(path.basename(file));
+
+// Every reviews*.json under a folder, or the file itself
+const findExportFiles = (target) =>
+  fs.statSync(target).isDirectory()
+    ? fs
+        .readdirSync(target, { recursive: true })
+        .map((file) => path.join(target, file))
+        .filter((file) => isExportFile(file) && fs.statSync(file).isFile())
+        .sort()
+    : [target];
+
+/**
+ * Read the raw reviews from an export file or folder. Reviews appearing in
+ * more than one file (overlapping exports) are only returned once.
+ */
+// Exported for testing
+export const readExportReviews = (target) => {
+  const byName = new Map();
+  for (const file of findExportFiles(target)) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const review of data.reviews || []) {
+      byName.set(review.name || byName.size, review);
+    }
+  }
+  return [...byName.values()];
+};
+
+/**
+ * Normalise exported reviews and save them into a business directory,
+ * applying the business's minimum_star_rating like a fetch would.
+ * Rating-only reviews are skipped, as they are when fetched.
+ * Returns { imported, existing, skipped }.
+ */
+// Exported for testing
+export const importGoogleExport = async (rawReviews, businessDir, options) => {
+  const { minRating = 0 } = options || {};
+  const reviews = filterByMinRating(minRating)(
+    rawReviews
+      .map(normalizeProfileReview)
+      .filter(
+        (review) => hasContent(review) && !Number.isNaN(review.date.getTime()),
+      ),
+  );
+
+  fs.mkdirSync(businessDir, { recursive: true });
+  const imported = await saveReviewsWithCount(reviews, businessDir, "google");
+  return {
+    imported,
+    existing: reviews.length - imported,
+    skipped: rawReviews.length - reviews.length,
+  };
+};
+
+const main = async () => {
+  const [slug, target] = process.argv.slice(2);
+  if (!slug || !target) {
+    console.error(
+      "Usage: bun src/scripts/import-google-export.js <slug> <export file or folder>",
+    );
+    process.exit(1);
+  }
+
+  const business = loadConfig().find((b) => b.slug === slug);
+  if (!business) {
+    console.warn(
+      `${slug} is not in config.json; its reviews won't be rendered until it is added`,
+    );
+  }
+
+  try {
+    const rawReviews = readExportReviews(target);
+    const { imported, existing, skipped } = await importGoogleExport(
+      rawReviews,
+      path.join(CONFIG.reviewsDir, slug),
+      { minRating: business?.minimum_star_rating },
+    );
+    console.log(
+      `${slug}: ${imported} imported, ${existing} already present, ${skipped} skipped (no text or below minimum rating)`,
+    );
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
@@ -0,0 +1,259 @@
+#!/usr/bin/env bun
+
+/**
+ * Import reviews we don't scrape - emailed testimonials, paper forms, other
+ * platforms - from a CSV or JSON file into data/<slug>/.
+ *
+ * Rows are normalised to the same shape the fetchers produce and saved with
+ * saveReview, so they get the usual filenames, avatar download and
+ * deduplication. Every row is validated first and nothing is written if any
+ * row is invalid. Re-importing the same file is safe: rows are matched by
+ * their reviewId, or if there isn't one by author and date (and text, for
+ * rows without an author). Changed rows are updated in place with the old
+ * version kept in editHistory; an anonymous row whose text changed is
+ * saved as a new review.
+ *
+ *   bun src/scripts/import-reviews.js <slug> <file.csv|file.json>
+ *     [--source manual] [--map field=column,...] [--rating 5]
+ */
+
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { parseCsv } from "../lib/csv.js";
+import {
+  buildTitledContent,
+  CONFIG,
+  FETCHED_SOURCES,
+  hasContent,
+  loadConfig,
+  saveReviewsWithCount,
+} from "../lib/shared.js";
+
+// Review fields a column can be mapped to. By default each is read from the
+// column of the same name.
+const IMPORT_FIELDS = [
+  "author",
+  "authorUrl",
+  "content",
+  "title",
+  "date",
+  "rating",
+  "reviewId",
+  "photoUrl",
+];
+
+const shortHash = (value) =>
+  createHash("sha256").update(value).digest("hex").substring(0, 16);
+
+/**
+ * Build a field -> column mapping from --map values such as
+ * "content=Testimonial,author=Customer name". JSON columns can be dotted
+ * paths ("user.name").
+ */
+// Exported for testing
+export const parseMapping = (specs = []) => {
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map((f) => [f, f]));
+  for (const pair of specs.flatMap((spec) => spec.split(","))) {
+    const [field, ...column] = pair.split("=");
+    const name = field.trim();
+    if (!IMPORT_FIELDS.includes(name) || column.length === 0) {
+      throw new Error(
+        `Invalid --map entry "${pair}": expected <field>=<column>, where field is one of ${IMPORT_FIELDS.join(", ")}`,
+      );
+    }
+    mapping[name] = column.join("=").trim();
+  }
+  return mapping;
+};
+
+// Custom source labels are slugs, and can't be a platform we fetch: a full
+// fetch of that platform would flag the imported reviews as removed
+// Exported for testing
+export const validateSource = (source) => {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(source)) {
+    throw new Error(
+      `Invalid source "${source}": use lowercase letters, digits and dashes`,
+    );
+  }
+  if (FETCHED_SOURCES.includes(source)) {
+    throw new Error(
+      `Source "${source}" is fetched automatically; pick another label`,
+    );
+  }
+  return source;
+};
+
+// Read a column, falling back to a dotted path for nested JSON
+const getColumn = (row, column) =>
+  column in row
+    ? row[column]
+    : column.split(".").reduce((value, key) => value?.[key], row);
+
+// Dates like 03/04/2025 mean different days in different countries, so
+// only accept unambiguous formats (ISO 8601 and the like)
+const parseImportDate = (text) => {
+  if (!text || /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(text)) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalise one imported row to the shape the fetchers produce. Rows
+ * without a reviewId get one derived from the author and day, so
+ * re-importing the same file finds the reviews it already saved. Rows
+ * without an author add the text, as forms often leave the name blank and
+ * two "Anonymous" testimonials on one day are still different reviews.
+ */
+// Exported for testing
+export const normalizeImportedRow = (row, mapping, options = {}) => {
+  const { source = "manual", defaultRating = null } = options;
+  const value = (field) => String(getColumn(row, mapping[field]) ?? "").trim();
+
+  const author = value("author") || "Anonymous";
+  const content = buildTitledContent(value("title"), value("content"));
+  const date = parseImportDate(value("date"));
+  const ratingText = value("rating");
+  const day = date?.toISOString().split("T")[0];
+  const identity = value("author")
+    ? `${author}|${day}`
+    : `${author}|${day}|${content}`;
+  const reviewId = value("reviewId") || (date ? shortHash(identity) : null);
+  const photoUrl = value("photoUrl");
+
+  return {
+    content,
+    date,
+    rating: ratingText === "" ? defaultRating : Number(ratingText),
+    author,
+    authorUrl: value("authorUrl"),
+    photoUrl,
+    // Avatars are stored by userId, so one is only needed with a photo
+    userId: photoUrl && reviewId ? `${source}-${shortHash(reviewId)}` : null,
+    reviewId,
+    imageUrls: [],
+    ownerResponse: null,
+  };
+};
+
+// List what's wrong with a normalised row; empty if it can be imported
+// Exported for testing
+export const validateImportedReview = (review) => [
+  ...(hasContent(review) ? [] : ["content is missing or too short"]),
+  ...(review.date ? [] : ["date is missing or not in YYYY-MM-DD form"]),
+  ...(review.rating >= 1 && review.rating <= 5
+    ? []
+    : ["rating must be a number from 1 to 5"]),
+];
+
+// Flag rows that would be saved as the same review
+const findDuplicateRows = (reviews) => {
+  const firstRow = new Map();
+  const errors = [];
+  reviews.forEach((review, i) => {
+    if (!review.reviewId) return;
+    if (firstRow.has(review.reviewId)) {
+      errors.push(
+        `row ${i + 1}: same review as row ${firstRow.get(review.reviewId) + 1}`,
+      );
+    } else {
+      firstRow.set(review.reviewId, i);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Validate and save imported rows into a business directory.
+ * Returns { imported, existing, errors }; nothing is written when there
+ * are errors. Row numbers count from the first data row.
+ */
+// Exported for testing
+export const importReviews = async (rows, businessDir, options = {}) => {
+  const { source = "manual", mapping = parseMapping() } = options;
+  const reviews = rows.map((row) =>
+    normalizeImportedRow(row, mapping, { ...options, source }),
+  );
+
+  const errors = [
+    ...reviews.flatMap((review, i) =>
+      validateImportedReview(review).map(
+        (problem) => `row ${i + 1}: ${problem}`,
+      ),
+    ),
+    ...findDuplicateRows(reviews),
+  ];
+  if (errors.length > 0) return { imported: 0, existing: 0, errors };
+
+  fs.mkdirSync(businessDir, { recursive: true });
+  const imported = await saveReviewsWithCount(reviews, businessDir, source);
+  return { imported, existing: reviews.length - imported, errors };
+};
+
+// Load rows from a .csv file, or a .json file holding an array of objects
+// Exported for testing
+export const readImportFile = (file) => {
+  const text = fs.readFileSync(file, "utf8");
+  if (path.extname(file).toLowerCase() === ".csv") return parseCsv(text);
+
+  const rows = JSON.parse(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${file}: expected a JSON array of reviews`);
+  }
+  return rows;
+};
+
+const USAGE =
+  "Usage: bun src/scripts/import-reviews.js <slug> <file.csv|file.json> [--source manual] [--map field=column,...] [--rating 5]";
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      source: { type: "string", default: "manual" },
+      map: { type: "string", multiple: true },
+      rating: { type: "string" },
+    },
+  });
+  const [slug, file] = positionals;
+  if (!slug || !file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const source = validateSource(values.source);
+    const mapping = parseMapping(values.map);
+    const defaultRating =
+      values.rating === undefined ? null : Number(values.rating);
+
+    if (!loadConfig().some((business) => business.slug === slug)) {
+      console.warn(
+        `${slug} is not in config.json; its reviews won't be rendered until it is added`,
+      );
+    }
+
+    const businessDir = path.join(CONFIG.reviewsDir, slug);
+    const { imported, existing, errors } = await importReviews(
+      readImportFile(file),
+      businessDir,
+      { source, mapping, defaultRating },
+    );
+
+    if (errors.length > 0) {
+      for (const error of errors) console.error(`  ! ${error}`);
+      console.error(
+        `Nothing imported: fix the ${errors.length} problem(s) above`,
+      );
+      process.exit(1);
+    }
+    console.log(`${slug}: ${imported} imported, ${existing} already present`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
@@ -0,0 +1,95 @@
+#!/usr/bin/env bun
+
+/**
+ * Backfill source-native review IDs into review files saved before they
+ * were captured, and rename those files to the ID-based names saveReview
+ * now writes. Safe to re-run: files that already have an ID are skipped.
+ *
+ * Trustpilot IDs are recovered from the stored userId and Facebook IDs from
+ * the post URL. Google files have nothing to recover an ID from, so they
+ * keep their names; saveReview still matches them by contributor ID.
+ *
+ *   bun src/scripts/migrate-review-ids.js [slug]
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+  extractFacebookPostId,
+  formatFilename,
+  getReviewIdentity,
+  isReviewFile,
+  listBusinessDirs,
+  readJsonSafe,
+  rebuildReviewIndex,
+} from "../lib/shared.js";
+
+// Recover the platform's review ID from what older files stored
+// Exported for testing
+export const recoverReviewId = (stored) => {
+  if (stored.source === "trustpilot" && stored.userId?.startsWith("tp-")) {
+    return stored.userId.substring(3);
+  }
+  if (stored.source === "facebook") {
+    return extractFacebookPostId(stored.authorUrl);
+  }
+  return null;
+};
+
+/**
+ * Migrate one review file. Returns "migrated", "skipped" (already has an
+ * ID, or none can be recovered) or "conflict" (the target name is taken).
+ */
+const migrateReviewFile = (businessDir, file) => {
+  const filepath = path.join(businessDir, file);
+  const stored = readJsonSafe(filepath);
+  if (!stored || stored.reviewId) return "skipped";
+
+  const reviewId = recoverReviewId(stored);
+  if (!reviewId) return "skipped";
+
+  const migrated = { ...stored, reviewId };
+  const target = formatFilename(
+    stored.author,
+    new Date(stored.date),
+    getReviewIdentity(migrated, stored.source),
+  );
+  const targetPath = path.join(businessDir, target);
+
+  if (fs.existsSync(targetPath)) {
+    console.warn(`  ! ${file}: ${target} already exists, leaving both`);
+    return "conflict";
+  }
+
+  fs.writeFileSync(targetPath, JSON.stringify(migrated, null, 2));
+  fs.unlinkSync(filepath);
+  console.log(`  ✓ ${file} -> ${target}`);
+  return "migrated";
+};
+
+/**
+ * Migrate every review file in a business directory, rebuilding its review
+ * index if any were renamed. Returns counts of each outcome.
+ */
+// Exported for testing
+export const migrateBusinessDir = (businessDir) => {
+  const counts = { migrated: 0, skipped: 0, conflict: 0 };
+  for (const file of fs.readdirSync(businessDir).filter(isReviewFile)) {
+    counts[migrateReviewFile(businessDir, file)]++;
+  }
+  if (counts.migrated > 0) rebuildReviewIndex(businessDir);
+  return counts;
+};
+
+const main = () => {
+  for (const { slug, businessDir } of listBusinessDirs(process.argv[2])) {
+    console.log(`${slug}:`);
+    const { migrated, skipped, conflict } = migrateBusinessDir(businessDir);
+    console.log(
+      `  ${migrated} migrated, ${skipped} unchanged, ${conflict} conflicts`,
+    );
+  }
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
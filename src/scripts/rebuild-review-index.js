@@ -0,0 +1,24 @@
+#!/usr/bin/env bun
+
+/**
+ * Rebuild data/<slug>/reviews.index.json from the review files on disk.
+ * saveReview keeps the index current, so this is only needed after review
+ * files have been edited, added or deleted by hand. Reports how far each
+ * index had drifted.
+ *
+ *   bun src/scripts/rebuild-review-index.js [slug]
+ */
+
+import { listBusinessDirs, rebuildReviewIndex } from "../lib/shared.js";
+
+const main = () => {
+  for (const { slug, businessDir } of listBusinessDirs(process.argv[2])) {
+    const { added, dropped, changed } = rebuildReviewIndex(businessDir);
+    console.log(
+      `${slug}: ${added} added, ${dropped} dropped, ${changed} changed`,
+    );
+  }
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
@@ -0,0 +1,60 @@
+#!/usr/bin/env bun
+
+/**
+ * Check config.json and the review files in data/ against the schemas in
+ * src/lib/validate.js, listing each problem with the file it is in. Exits
+ * with status 1 if anything is wrong.
+ *
+ *   bun src/scripts/validate.js [slug]
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG, isReviewFile, listBusinessDirs } from "../lib/shared.js";
+import { validateConfig, validateReview } from "../lib/validate.js";
+
+// Parse a JSON file and validate it, as "file: path: reason" lines
+const validateJsonFile = (filepath, validate) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+    return validate(data).map((error) => `${filepath}: ${error}`);
+  } catch (error) {
+    return [`${filepath}: ${error.message}`];
+  }
+};
+
+// Problems with config.json
+// Exported for testing
+export const validateConfigFile = (configPath) =>
+  validateJsonFile(configPath, validateConfig);
+
+// Problems with every review file in a business directory
+// Exported for testing
+export const validateBusinessDir = (businessDir) =>
+  fs
+    .readdirSync(businessDir)
+    .filter(isReviewFile)
+    .sort()
+    .flatMap((file) =>
+      validateJsonFile(path.join(businessDir, file), validateReview),
+    );
+
+const main = () => {
+  const errors = [
+    ...validateConfigFile(CONFIG.configPath),
+    ...listBusinessDirs(process.argv[2]).flatMap(({ businessDir }) =>
+      validateBusinessDir(businessDir),
+    ),
+  ];
+
+  for (const error of errors) console.error(error);
+  console.log(
+    errors.length === 0
+      ? "config.json and review files are valid"
+      : `${errors.length} problem${errors.length === 1 ? "" : "s"} found`,
+  );
+  if (errors.length > 0) process.exit(1);
+};
+
+// Only run when executed directly (using && for single-line coverage)
+import.meta.main && main();
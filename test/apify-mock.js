@@ -1,10 +1,11 @@
 /**
  * Apify API Mock for testing
  *
- * Provides realistic mock responses for the three Apify actors used:
+ * Provides realistic mock responses for the Apify actors used:
  * - Google Maps Reviews (nwua9Gu5YrADL7ZDj)
  * - Facebook Reviews (dX3d80hsNMilEwjXG)
  * - Trustpilot Reviews (4AQb7n4pXPxFQQ2w5)
+ * - Yelp Reviews (tri_angle~yelp-review-scraper)
  */
 
 // Actor IDs for reference
@@ -12,6 +13,9 @@ const ACTOR_IDS = {
   google: "nwua9Gu5YrADL7ZDj",
   facebook: "dX3d80hsNMilEwjXG",
   trustpilot: "4AQb7n4pXPxFQQ2w5",
+  yelp: "tri_angle~yelp-review-scraper",
+  tripadvisor: "maxcopell~tripadvisor-reviews",
+  checkatrade: "dtrungtin~checkatrade-scraper",
 };
 
 /**
@@ -61,6 +65,53 @@ const createTrustpilotReview = (overrides = {}) => ({
   ...overrides,
 });
 
+const createYelpReview = (overrides = {}) => ({
+  reviewId: "yelp-review-xyz789",
+  text: "Best brunch in town, the pancakes are unreal.",
+  rating: 5,
+  date: "2024-06-15T09:00:00.000Z",
+  userName: "Sam K.",
+  userUrl: "https://www.yelp.com/user_details?userid=AbC123xYz",
+  userPhotoUrl: "https://s3-media0.fl.yelpcdn.com/photo/sam.jpg",
+  photoUrls: [],
+  businessResponse: null,
+  ...overrides,
+});
+
+const createTripadvisorReview = (overrides = {}) => ({
+  id: "987654321",
+  url: "https://www.tripadvisor.com/ShowUserReviews-g1-d2-r987654321.html",
+  title: "Lovely stay",
+  text: "Spotless rooms and the staff could not have been more helpful.",
+  rating: 5,
+  publishedDate: "2024-06-20",
+  tripType: "COUPLES",
+  user: {
+    userId: "ABCDEF0123456789",
+    name: "Alex M",
+    username: "alexm",
+    avatar: {
+      image: "https://media-cdn.tripadvisor.com/media/photo-l/alex.jpg",
+    },
+  },
+  photos: [],
+  ownerResponse: null,
+  ...overrides,
+});
+
+const createCheckatradeReview = (overrides = {}) => ({
+  id: "cat-5551234",
+  url: "https://www.checkatrade.com/trades/myalarmsecurity/reviews/5551234",
+  title: "Alarm system installation",
+  text: "Turned up on time, explained everything and left the place spotless.",
+  score: 9.5,
+  scores: { workmanship: 10, tidiness: 10, reliability: 9, courtesy: 9 },
+  date: "2024-07-02",
+  reviewerName: "Mrs Patel, Leeds",
+  reply: null,
+  ...overrides,
+});
+
 /**
  * Create a Google API response (reviews nested in results)
  */
@@ -256,6 +307,65 @@ const sampleData = {
     ]),
     emptyResponse: createFlatResponse([]),
   },
+
+  yelp: {
+    mixedReviews: createFlatResponse([
+      createYelpReview(),
+      createYelpReview({
+        reviewId: "yelp-review-2",
+        rating: 2,
+        text: "Cold food and a long wait",
+        userName: "Pat L.",
+        userUrl: "https://www.yelp.com/user_details?userid=PaT456",
+        businessResponse: {
+          text: "Sorry Pat, we have spoken to the kitchen team.",
+          date: "2024-06-17T12:00:00.000Z",
+        },
+      }),
+      createYelpReview({ reviewId: "yelp-review-3", text: "" }), // Empty content
+    ]),
+    emptyResponse: createFlatResponse([]),
+  },
+
+  checkatrade: {
+    mixedReviews: createFlatResponse([
+      createCheckatradeReview(),
+      createCheckatradeReview({
+        id: "cat-5551235",
+        title: "Solar panel fitting",
+        text: "Good job overall but the roof tiles were left on the lawn.",
+        score: 7,
+        scores: { workmanship: 8, tidiness: 4 },
+        reviewerName: "Mr Jones, York",
+        reply: {
+          text: "Sorry about the tiles, we have been back to clear them.",
+          date: "2024-07-04",
+        },
+      }),
+      createCheckatradeReview({ id: "cat-5551236", title: "", text: "" }), // Empty content
+    ]),
+    emptyResponse: createFlatResponse([]),
+  },
+
+  tripadvisor: {
+    mixedReviews: createFlatResponse([
+      createTripadvisorReview(),
+      createTripadvisorReview({
+        id: "987654322",
+        title: "Noisy",
+        text: "Room faced the main road.",
+        rating: 2,
+        tripType: "BUSINESS",
+        user: { userId: "FEDCBA9876543210", name: "Jo P" },
+        ownerResponse: {
+          text: "Thanks Jo, quiet rooms can be requested at booking.",
+          publishedDate: "2024-06-22",
+        },
+      }),
+      createTripadvisorReview({ id: "987654323", title: "", text: "" }), // Empty content
+    ]),
+    emptyResponse: createFlatResponse([]),
+  },
 };
 
 /**
@@ -316,6 +426,9 @@ export {
   createGoogleReview,
   createFacebookReview,
   createTrustpilotReview,
+  createYelpReview,
+  createTripadvisorReview,
+  createCheckatradeReview,
   createGoogleResponse,
   createFlatResponse,
   createHttpsMock,
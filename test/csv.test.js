@@ -0,0 +1,40 @@
+/**
+ * Tests for the CSV reader used by review imports
+ */
+import { describe, expect, it } from "bun:test";
+import { parseCsv } from "../src/lib/csv.js";
+
+describe("parseCsv", () => {
+  it("keys each row by the header", () => {
+    expect(parseCsv("author,rating\nJane,5\nSam,4\n")).toEqual([
+      { author: "Jane", rating: "5" },
+      { author: "Sam", rating: "4" },
+    ]);
+  });
+
+  it("handles quoted commas, quotes and newlines", () => {
+    const [row] = parseCsv(
+      'author,content\n"Smith, J","She said ""wow""\nand meant it"\n',
+    );
+    expect(row.author).toBe("Smith, J");
+    expect(row.content).toBe('She said "wow"\nand meant it');
+  });
+
+  it("handles CRLF endings, a byte order mark and blank lines", () => {
+    expect(parseCsv("﻿author , rating\r\nJane,5\r\n\r\nSam,4")).toEqual([
+      { author: "Jane", rating: "5" },
+      { author: "Sam", rating: "4" },
+    ]);
+  });
+
+  it("fills missing trailing fields with empty strings", () => {
+    expect(parseCsv("author,rating\nJane")).toEqual([
+      { author: "Jane", rating: "" },
+    ]);
+  });
+
+  it("returns no rows for empty input", () => {
+    expect(parseCsv("")).toEqual([]);
+    expect(parseCsv("author,rating\n")).toEqual([]);
+  });
+});
@@ -2,14 +2,19 @@
  * Tests for fetch scripts
  * Tests the specific fetch implementations for each platform
  */
-import { describe, expect, it } from "bun:test";
+import { describe, expect, it, spyOn } from "bun:test";
+import fs from "node:fs";
+import path from "node:path";
+import { main as fetchAll, selectFetchers } from "../src/fetch-all-reviews.js";
 import {
   extractFacebookUserId,
+  main as fetchFacebookMain,
   normalizeFacebookReview,
 } from "../src/fetch-facebook-reviews.js";
 import {
   buildGoogleMapsUrl,
   extractReviewsFromItem,
+  main as fetchGoogleMain,
   fetchReviews,
   normalizeGoogleReview,
 } from "../src/fetch-google-reviews.js";
@@ -18,6 +23,15 @@ import {
   extractTrustpilotUserId,
   normalizeTrustpilotReview,
 } from "../src/fetch-trustpilot-reviews.js";
+import { archiveRawResponse, saveReview } from "../src/lib/shared.js";
+import {
+  ACTOR_IDS,
+  createFacebookReview,
+  createGoogleResponse,
+  createGoogleReview,
+  createYelpReview,
+} from "./apify-mock.js";
+import { listReviewFiles, withArgs, withTempConfig } from "./helpers.js";
 
 // Helper to assert common empty/default field patterns
 const expectEmptyDefaults = (normalized) => {
@@ -326,4 +340,148 @@ describe("Google fetchReviews", () => {
       }
     });
   });
+
+  it("normalizes an archived response on a replay", async () => {
+    const reviews = await fetchReviews(
+      { google_business_id: "ChIJreplay" },
+      {
+        source: "google",
+        replay: {
+          items: createGoogleResponse([
+            createGoogleReview(),
+            createGoogleReview({ text: "Good" }),
+          ]),
+        },
+      },
+    );
+
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0]).toMatchObject({
+      author: "John Smith",
+      content: "Great service, very professional!",
+      userId: "101426519435404522118",
+    });
+  });
+});
+
+describe("Google main", () => {
+  const review = (date) => ({
+    author: "Jane Doe",
+    authorUrl: "",
+    rating: 5,
+    content: "Lovely food and friendly staff",
+    date: new Date(date),
+    userId: null,
+    photoUrl: null,
+    reviewId: date,
+  });
+
+  it("starts after the latest Google review, not other platforms'", async () => {
+    const business = {
+      slug: "cafe",
+      google_business_id: "ChIJcafe",
+      number_of_reviews: -1,
+      minimum_star_rating: 0,
+      fetch_frequency_days: 7,
+      last_full_fetch_google: new Date().toISOString(),
+    };
+    const log = spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await withTempConfig("google-main", [business], async (dir) => {
+        const businessDir = path.join(dir, "data", "cafe");
+        fs.mkdirSync(businessDir, { recursive: true });
+        await saveReview(review("2024-06-15"), businessDir, "google");
+        await saveReview(review("2025-01-10"), businessDir, "facebook");
+        await withArgs(["--dry-run"], fetchGoogleMain);
+      });
+
+      const run = log.mock.calls.find(([line]) => line.includes("would run"));
+      expect(run[0]).toContain('"reviewsStartDate":"2024-06-16"');
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
+
+describe("selectFetchers", () => {
+  it("runs every platform by default", () => {
+    expect(selectFetchers()).toHaveLength(6);
+    expect(selectFetchers("all")).toHaveLength(6);
+  });
+
+  it("picks a single platform", () => {
+    expect(selectFetchers("facebook")).toEqual([fetchFacebookMain]);
+  });
+
+  it("rejects unknown sources", () => {
+    expect(() => selectFetchers("myspace")).toThrow('Unknown source "myspace"');
+    expect(() => selectFetchers("toString")).toThrow("Unknown source");
+  });
+});
+
+describe("fetch-all-reviews main", () => {
+  const businesses = [
+    {
+      slug: "cafe",
+      facebook_page_url: "https://www.facebook.com/cafe",
+      yelp_url: "https://www.yelp.com/biz/cafe",
+      number_of_reviews: -1,
+      minimum_star_rating: 0,
+      fetch_frequency_days: 7,
+    },
+  ];
+
+  // Run fetch-all-reviews.js with `args`, returning what it logged
+  const runFetchAll = async (args, setup = () => {}) => {
+    const log = spyOn(console, "log").mockImplementation(() => {});
+    try {
+      return await withTempConfig("fetch-all", businesses, () =>
+        withArgs(args, async () => {
+          setup();
+          await fetchAll();
+          return {
+            logged: log.mock.calls.map(([line]) => line),
+            files: listReviewFiles(),
+          };
+        }),
+      );
+    } finally {
+      log.mockRestore();
+    }
+  };
+
+  it("only runs the --source platform", async () => {
+    const { logged } = await runFetchAll(["--source", "yelp", "--dry-run"]);
+    const runs = logged.filter((line) => line.includes("would run"));
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toContain(ACTOR_IDS.yelp);
+  });
+
+  it("runs every platform together", async () => {
+    const { files } = await runFetchAll(["--replay"], () => {
+      archiveRawResponse("cafe", "facebook", {
+        items: [createFacebookReview({ user: { profilePic: "" } })],
+      });
+      archiveRawResponse("cafe", "yelp", {
+        items: [createYelpReview({ userPhotoUrl: "" })],
+      });
+    });
+
+    expect(files).toHaveLength(2);
+  });
+
+  it("exits with an error for an unknown source", async () => {
+    const exit = spyOn(process, "exit").mockImplementation(() => {});
+    const error = spyOn(console, "error").mockImplementation(() => {});
+    try {
+      await withArgs(["--source", "myspace"], fetchAll);
+
+      expect(exit).toHaveBeenCalledWith(1);
+      expect(error.mock.calls[0][0]).toContain('Unknown source "myspace"');
+    } finally {
+      exit.mockRestore();
+      error.mockRestore();
+    }
+  });
 });
@@ -0,0 +1,74 @@
+/**
+ * Helpers for tests that save reviews, or run commands against a temporary
+ * config.json, data/ and raw/ rather than the real ones
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { withTempDirAsync } from "#toolkit/test-utils/index.js";
+import { CONFIG, isReviewFile } from "../src/lib/shared.js";
+
+/**
+ * Run `fn(dir)` with CONFIG pointing at config.json, data/ and raw/ in a
+ * temporary directory, config.json holding `businesses`. CONFIG is restored
+ * afterwards.
+ */
+const withTempConfig = (name, businesses, fn) =>
+  withTempDirAsync(name, async (dir) => {
+    const saved = {
+      configPath: CONFIG.configPath,
+      reviewsDir: CONFIG.reviewsDir,
+      rawDir: CONFIG.rawDir,
+    };
+    Object.assign(CONFIG, {
+      configPath: path.join(dir, "config.json"),
+      reviewsDir: path.join(dir, "data"),
+      rawDir: path.join(dir, "raw"),
+    });
+    fs.writeFileSync(CONFIG.configPath, JSON.stringify(businesses));
+    try {
+      return await fn(dir);
+    } finally {
+      Object.assign(CONFIG, saved);
+    }
+  });
+
+// Run `fn` with a command line of `args`, restoring process.argv and
+// process.exitCode afterwards
+const withArgs = async (args, fn) => {
+  const { argv, exitCode } = process;
+  process.argv = ["bun", "command.js", ...args];
+  try {
+    return await fn();
+  } finally {
+    process.argv = argv;
+    process.exitCode = exitCode;
+  }
+};
+
+// The config.json a command left behind
+const readTempConfig = () =>
+  JSON.parse(fs.readFileSync(CONFIG.configPath, "utf8"));
+
+// The review files in a business directory, parsed
+const readReviews = (dir) =>
+  fs
+    .readdirSync(dir)
+    .filter(isReviewFile)
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+
+// Paths of the review files under data/, relative to it
+const listReviewFiles = () =>
+  fs.existsSync(CONFIG.reviewsDir)
+    ? fs
+        .readdirSync(CONFIG.reviewsDir, { recursive: true })
+        .filter((file) => isReviewFile(path.basename(file)))
+        .sort()
+    : [];
+
+export {
+  listReviewFiles,
+  readReviews,
+  readTempConfig,
+  withArgs,
+  withTempConfig,
+};
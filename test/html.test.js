@@ -0,0 +1,88 @@
+/**
+ * Tests for HTML escaping helpers
+ */
+import { describe, expect, it } from "bun:test";
+import {
+  escapeAttr,
+  escapeHtml,
+  jsonForScript,
+  safeUrl,
+} from "../src/lib/html.js";
+
+describe("escapeHtml", () => {
+  it("escapes markup characters", () => {
+    expect(escapeHtml('<script>alert("x")</script>')).toBe(
+      "&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;",
+    );
+  });
+
+  it("escapes ampersands before other entities", () => {
+    expect(escapeHtml("Fish &amp; Chips")).toBe("Fish &amp;amp; Chips");
+  });
+
+  it("escapes single quotes", () => {
+    expect(escapeHtml("O'Brien")).toBe("O&#39;Brien");
+  });
+
+  it("returns empty string for null/undefined", () => {
+    expect(escapeHtml(null)).toBe("");
+    expect(escapeHtml(undefined)).toBe("");
+  });
+
+  it("stringifies non-string values", () => {
+    expect(escapeHtml(5)).toBe("5");
+  });
+});
+
+describe("escapeAttr", () => {
+  it("escapes both quote styles", () => {
+    expect(escapeAttr(`" onmouseover='x'`)).toBe(
+      "&quot; onmouseover=&#39;x&#39;",
+    );
+  });
+});
+
+describe("safeUrl", () => {
+  it("allows http and https URLs", () => {
+    expect(safeUrl("https://www.google.com/maps/contrib/123")).toBe(
+      "https://www.google.com/maps/contrib/123",
+    );
+    expect(safeUrl("http://example.com/")).toBe("http://example.com/");
+  });
+
+  it("rejects javascript: URLs in any case", () => {
+    expect(safeUrl("javascript:alert(1)")).toBe("");
+    expect(safeUrl("  JaVaScRiPt:alert(1)")).toBe("");
+  });
+
+  it("rejects data: and vbscript: URLs", () => {
+    expect(safeUrl("data:text/html,<script>alert(1)</script>")).toBe("");
+    expect(safeUrl("vbscript:msgbox(1)")).toBe("");
+  });
+
+  it("rejects relative and unparseable URLs", () => {
+    expect(safeUrl("/relative/path")).toBe("");
+    expect(safeUrl("not a url")).toBe("");
+  });
+
+  it("returns empty string for empty input", () => {
+    expect(safeUrl("")).toBe("");
+    expect(safeUrl(null)).toBe("");
+    expect(safeUrl(undefined)).toBe("");
+  });
+
+  it("percent-encodes quotes so they cannot break out of an attribute", () => {
+    expect(safeUrl('https://example.com/"onclick="x')).not.toContain('"');
+  });
+});
+
+describe("jsonForScript", () => {
+  it("produces parseable JSON", () => {
+    const value = { body: "</script><!-- hi" };
+    expect(JSON.parse(jsonForScript(value))).toEqual(value);
+  });
+
+  it("escapes every < character", () => {
+    expect(jsonForScript({ body: "</script>" })).not.toContain("<");
+  });
+});
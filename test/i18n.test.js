@@ -0,0 +1,65 @@
+/**
+ * Tests for UI string translation and locale helpers
+ */
+import { describe, expect, it } from "bun:test";
+import {
+  DEFAULT_LOCALE,
+  resolveLocale,
+  textDirection,
+  translate,
+} from "../src/lib/i18n.js";
+
+describe("resolveLocale", () => {
+  it("defaults to English when unset", () => {
+    expect(resolveLocale(undefined)).toBe(DEFAULT_LOCALE);
+    expect(resolveLocale("")).toBe(DEFAULT_LOCALE);
+  });
+
+  it("canonicalises valid tags", () => {
+    expect(resolveLocale("EN-gb")).toBe("en-GB");
+    expect(resolveLocale("fr")).toBe("fr");
+  });
+
+  it("falls back to English for invalid tags", () => {
+    expect(resolveLocale("not a locale!")).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe("textDirection", () => {
+  it("is rtl for right-to-left languages", () => {
+    expect(textDirection("ar")).toBe("rtl");
+    expect(textDirection("he-IL")).toBe("rtl");
+  });
+
+  it("is ltr otherwise", () => {
+    expect(textDirection("en-GB")).toBe("ltr");
+    expect(textDirection("fr")).toBe("ltr");
+  });
+});
+
+describe("translate", () => {
+  it("returns strings for the requested language", () => {
+    expect(translate("fr", "noReviews")).toBe("Aucun avis disponible.");
+    expect(translate("de", "recommends")).toBe("Empfiehlt");
+  });
+
+  it("falls back from region to language", () => {
+    expect(translate("fr-CA", "noReviews")).toBe("Aucun avis disponible.");
+  });
+
+  it("falls back to English for unknown languages", () => {
+    expect(translate("ar", "noReviews")).toBe("No reviews available.");
+  });
+
+  it("fills in placeholders", () => {
+    expect(translate("en", "recommendCount", { recommends: 3, count: 4 })).toBe(
+      "3 of 4 recommend",
+    );
+  });
+
+  it("chooses plural forms by count", () => {
+    expect(translate("en", "reviewCount", { count: 1 })).toBe("1 review");
+    expect(translate("en", "reviewCount", { count: 2 })).toBe("2 reviews");
+    expect(translate("de", "reviewCount", { count: 2 })).toBe("2 Bewertungen");
+  });
+});
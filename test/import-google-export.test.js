@@ -0,0 +1,168 @@
+/**
+ * Tests for the Google Business Profile export importer
+ */
+import { describe, expect, it } from "bun:test";
+import fs from "node:fs";
+import path from "node:path";
+import { withTempDirAsync } from "#toolkit/test-utils/index.js";
+import { isReviewFile, saveReview } from "../src/lib/shared.js";
+import {
+  extractOriginalText,
+  importGoogleExport,
+  normalizeProfileReview,
+  readExportReviews,
+} from "../src/scripts/import-google-export.js";
+import { readReviews } from "./helpers.js";
+
+const exportReview = (overrides = {}) => ({
+  name: "accounts/1/locations/2/reviews/AbFvOq1",
+  reviewer: {
+    displayName: "Jane Smith",
+    profilePhotoUrl: "https://lh3.googleusercontent.com/a/jane",
+  },
+  starRating: "FIVE",
+  comment: "Lovely breakfast and friendly staff.",
+  createTime: "2024-05-01T09:30:00.000Z",
+  updateTime: "2024-05-01T09:30:00.000Z",
+  reviewReply: {
+    comment: "Thanks Jane, see you soon!",
+    updateTime: "2024-05-02T08:00:00.000Z",
+  },
+  ...overrides,
+});
+
+describe("extractOriginalText", () => {
+  it("keeps the original text of translated reviews", () => {
+    expect(
+      extractOriginalText(
+        "(Translated by Google) Great place\n\n(Original)\nTolles Lokal",
+      ),
+    ).toBe("Tolles Lokal");
+  });
+
+  it("returns untranslated text as it is", () => {
+    expect(extractOriginalText(" Great place ")).toBe("Great place");
+    expect(extractOriginalText(undefined)).toBe("");
+  });
+});
+
+describe("normalizeProfileReview", () => {
+  it("maps the export fields to the normalized format", () => {
+    const review = normalizeProfileReview(exportReview());
+    expect(review).toMatchObject({
+      author: "Jane Smith",
+      content: "Lovely breakfast and friendly staff.",
+      rating: 5,
+      userId: null,
+      reviewId: null,
+    });
+    expect(review.date.toISOString()).toBe("2024-05-01T09:30:00.000Z");
+    expect(review.ownerResponse.content).toBe("Thanks Jane, see you soon!");
+  });
+
+  it("handles missing replies and unknown ratings", () => {
+    const review = normalizeProfileReview(
+      exportReview({ reviewReply: undefined, starRating: "UNSPECIFIED" }),
+    );
+    expect(review.ownerResponse).toBe(null);
+    expect(review.rating).toBe(0);
+  });
+});
+
+describe("readExportReviews", () => {
+  it("reads every reviews*.json in a folder, once per review", async () => {
+    await withTempDirAsync("google-export-read", async (dir) => {
+      const location = path.join(dir, "Google Business Profile", "Cafe");
+      fs.mkdirSync(location, { recursive: true });
+      fs.writeFileSync(
+        path.join(location, "reviews.json"),
+        JSON.stringify({ reviews: [exportReview()] }),
+      );
+      fs.writeFileSync(
+        path.join(location, "reviews-1.json"),
+        JSON.stringify({
+          reviews: [
+            exportReview(),
+            exportReview({ name: "accounts/1/locations/2/reviews/AbFvOq2" }),
+          ],
+        }),
+      );
+      fs.writeFileSync(path.join(location, "insights.json"), "{}");
+
+      expect(readExportReviews(dir)).toHaveLength(2);
+      expect(readExportReviews(path.join(location, "reviews.json"))).toEqual([
+        exportReview(),
+      ]);
+    });
+  });
+});
+
+describe("importGoogleExport", () => {
+  it("saves reviews as google and skips them on re-import", async () => {
+    await withTempDirAsync("google-export-import", async (dir) => {
+      const raw = [
+        exportReview(),
+        exportReview({ name: "r2", comment: "", starRating: "FOUR" }),
+        exportReview({
+          name: "r3",
+          reviewer: { displayName: "Sam" },
+          starRating: "TWO",
+          comment: "Waited ages for a table.",
+        }),
+      ];
+
+      expect(await importGoogleExport(raw, dir, { minRating: 3 })).toEqual({
+        imported: 1,
+        existing: 0,
+        skipped: 2,
+      });
+      const [saved] = readReviews(dir);
+      expect(saved.source).toBe("google");
+      expect(saved.ownerResponse.content).toBe("Thanks Jane, see you soon!");
+
+      expect(await importGoogleExport(raw, dir, { minRating: 3 })).toEqual({
+        imported: 0,
+        existing: 1,
+        skipped: 2,
+      });
+      expect(fs.readdirSync(dir).filter(isReviewFile)).toHaveLength(1);
+    });
+  });
+
+  it("is adopted by a later fetch of the same review", async () => {
+    await withTempDirAsync("google-export-adopt", async (dir) => {
+      await importGoogleExport([exportReview()], dir);
+
+      const fetched = {
+        ...normalizeProfileReview(exportReview()),
+        authorUrl: "https://www.google.com/maps/contrib/42?hl=en",
+        userId: "42",
+        reviewId: "Ci9abc",
+      };
+      expect(await saveReview(fetched, dir, "google")).toBe(false);
+
+      const reviews = readReviews(dir);
+      expect(reviews).toHaveLength(1);
+      expect(reviews[0].reviewId).toBe("Ci9abc");
+    });
+  });
+
+  it("does not duplicate reviews already fetched", async () => {
+    await withTempDirAsync("google-export-existing", async (dir) => {
+      await saveReview(
+        {
+          ...normalizeProfileReview(exportReview()),
+          userId: "42",
+          reviewId: "Ci9abc",
+        },
+        dir,
+        "google",
+      );
+      expect(await importGoogleExport([exportReview()], dir)).toMatchObject({
+        imported: 0,
+        existing: 1,
+      });
+      expect(readReviews(dir)).toHaveLength(1);
+    });
+  });
+});
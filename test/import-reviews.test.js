@@ -0,0 +1,237 @@
+/**
+ * Tests for the manual review import command
+ */
+import { describe, expect, it } from "bun:test";
+import fs from "node:fs";
+import path from "node:path";
+import { withTempDirAsync } from "#toolkit/test-utils/index.js";
+import { isReviewFile } from "../src/lib/shared.js";
+import {
+  importReviews,
+  normalizeImportedRow,
+  parseMapping,
+  readImportFile,
+  validateImportedReview,
+  validateSource,
+} from "../src/scripts/import-reviews.js";
+import { readReviews } from "./helpers.js";
+
+const row = (overrides = {}) => ({
+  author: "Jane Smith",
+  content: "Fitted our new alarm in a morning, very tidy.",
+  date: "2025-03-14",
+  rating: "5",
+  ...overrides,
+});
+
+describe("parseMapping", () => {
+  it("defaults every field to the column of the same name", () => {
+    expect(parseMapping().content).toBe("content");
+  });
+
+  it("maps fields to other columns", () => {
+    const mapping = parseMapping([
+      "content=Testimonial,author=Customer name",
+      "date=when",
+    ]);
+    expect(mapping.content).toBe("Testimonial");
+    expect(mapping.author).toBe("Customer name");
+    expect(mapping.date).toBe("when");
+    expect(mapping.rating).toBe("rating");
+  });
+
+  it("rejects unknown fields and missing columns", () => {
+    expect(() => parseMapping(["stars=rating"])).toThrow("Invalid --map");
+    expect(() => parseMapping(["content"])).toThrow("Invalid --map");
+  });
+});
+
+describe("validateSource", () => {
+  it("accepts slug-style labels", () => {
+    expect(validateSource("manual")).toBe("manual");
+    expect(validateSource("houzz")).toBe("houzz");
+  });
+
+  it("rejects fetched platforms and non-slug labels", () => {
+    expect(() => validateSource("google")).toThrow("fetched automatically");
+    expect(() => validateSource("My Source")).toThrow("Invalid source");
+  });
+});
+
+describe("normalizeImportedRow", () => {
+  it("produces the fetcher review shape", () => {
+    const review = normalizeImportedRow(row(), parseMapping());
+    expect(review).toMatchObject({
+      author: "Jane Smith",
+      content: "Fitted our new alarm in a morning, very tidy.",
+      rating: 5,
+      authorUrl: "",
+      userId: null,
+      imageUrls: [],
+      ownerResponse: null,
+    });
+    expect(review.date.toISOString()).toBe("2025-03-14T00:00:00.000Z");
+  });
+
+  it("reads mapped and nested JSON columns", () => {
+    const review = normalizeImportedRow(
+      { text: "Lovely work on the garden wall", user: { name: "Sam" } },
+      parseMapping(["content=text,author=user.name"]),
+    );
+    expect(review.author).toBe("Sam");
+    expect(review.content).toBe("Lovely work on the garden wall");
+  });
+
+  it("joins a title onto the content", () => {
+    const review = normalizeImportedRow(
+      row({ title: "Great job" }),
+      parseMapping(),
+    );
+    expect(review.content).toBe(
+      "Great job.\n\nFitted our new alarm in a morning, very tidy.",
+    );
+  });
+
+  it("derives a stable reviewId from the author and day", () => {
+    const first = normalizeImportedRow(row(), parseMapping());
+    const again = normalizeImportedRow(
+      row({ date: "2025-03-14T16:00:00Z", content: "Fitted our alarm." }),
+      parseMapping(),
+    );
+    expect(first.reviewId).toMatch(/^[0-9a-f]{16}$/);
+    expect(again.reviewId).toBe(first.reviewId);
+    expect(
+      normalizeImportedRow(row({ reviewId: "form-12" }), parseMapping())
+        .reviewId,
+    ).toBe("form-12");
+  });
+
+  it("uses the default rating for rows without one", () => {
+    const review = normalizeImportedRow(row({ rating: "" }), parseMapping(), {
+      defaultRating: 5,
+    });
+    expect(review.rating).toBe(5);
+  });
+
+  it("gives reviews with a photo a userId for the avatar", () => {
+    const review = normalizeImportedRow(
+      row({ photoUrl: "https://example.com/jane.jpg" }),
+      parseMapping(),
+    );
+    expect(review.userId).toMatch(/^manual-[0-9a-f]{16}$/);
+  });
+});
+
+describe("validateImportedReview", () => {
+  const validate = (overrides) =>
+    validateImportedReview(
+      normalizeImportedRow(row(overrides), parseMapping()),
+    );
+
+  it("accepts a complete row", () => {
+    expect(validate()).toEqual([]);
+  });
+
+  it("reports missing content, bad dates and bad ratings", () => {
+    expect(validate({ content: "" })).toEqual([
+      "content is missing or too short",
+    ]);
+    expect(validate({ date: "last week" })).toHaveLength(1);
+    expect(validate({ rating: "6" })).toEqual([
+      "rating must be a number from 1 to 5",
+    ]);
+    expect(validate({ rating: "" })).toHaveLength(1);
+  });
+
+  it("rejects ambiguous day/month dates", () => {
+    expect(validate({ date: "03/04/2025" })).toEqual([
+      "date is missing or not in YYYY-MM-DD form",
+    ]);
+  });
+});
+
+describe("importReviews", () => {
+  it("saves rows with the given source and skips them on re-import", async () => {
+    await withTempDirAsync("import-reviews", async (dir) => {
+      const rows = [
+        row(),
+        row({ author: "Sam", content: "Prompt and polite." }),
+      ];
+
+      expect(await importReviews(rows, dir, { source: "manual" })).toEqual({
+        imported: 2,
+        existing: 0,
+        errors: [],
+      });
+      const saved = readReviews(dir);
+      expect(saved).toHaveLength(2);
+      expect(saved.every((review) => review.source === "manual")).toBe(true);
+      expect(fs.readdirSync(dir).filter(isReviewFile)[0]).toMatch(
+        /-2025-03-14-[0-9a-f]{8}\.json$/,
+      );
+
+      expect(await importReviews(rows, dir)).toMatchObject({
+        imported: 0,
+        existing: 2,
+      });
+      expect(fs.readdirSync(dir).filter(isReviewFile)).toHaveLength(2);
+    });
+  });
+
+  it("updates a re-imported row whose text changed", async () => {
+    await withTempDirAsync("import-reviews-edit", async (dir) => {
+      await importReviews([row()], dir);
+      await importReviews([row({ content: "Updated testimonial text." })], dir);
+
+      const [saved] = readReviews(dir);
+      expect(saved.content).toBe("Updated testimonial text.");
+      expect(saved.editHistory).toHaveLength(1);
+    });
+  });
+
+  it("keeps same-day testimonials without a name apart", async () => {
+    await withTempDirAsync("import-reviews-anonymous", async (dir) => {
+      const rows = [
+        row({ author: "" }),
+        row({ author: "", content: "Friendly and quick." }),
+      ];
+      expect(await importReviews(rows, dir)).toMatchObject({
+        imported: 2,
+        errors: [],
+      });
+      expect(readReviews(dir)).toHaveLength(2);
+    });
+  });
+
+  it("writes nothing when any row is invalid", async () => {
+    await withTempDirAsync("import-reviews-invalid", async (dir) => {
+      const result = await importReviews(
+        [row(), row({ author: "Sam", rating: "ten" }), row()],
+        dir,
+      );
+      expect(result.imported).toBe(0);
+      expect(result.errors).toEqual([
+        "row 2: rating must be a number from 1 to 5",
+        "row 3: same review as row 1",
+      ]);
+      expect(fs.readdirSync(dir)).toEqual([]);
+    });
+  });
+});
+
+describe("readImportFile", () => {
+  it("reads CSV and JSON files", async () => {
+    await withTempDirAsync("import-reviews-files", async (dir) => {
+      const csv = path.join(dir, "reviews.csv");
+      fs.writeFileSync(csv, "author,rating\nJane,5\n");
+      expect(readImportFile(csv)).toEqual([{ author: "Jane", rating: "5" }]);
+
+      const json = path.join(dir, "reviews.json");
+      fs.writeFileSync(json, JSON.stringify([{ author: "Sam" }]));
+      expect(readImportFile(json)).toEqual([{ author: "Sam" }]);
+
+      fs.writeFileSync(json, JSON.stringify({ author: "Sam" }));
+      expect(() => readImportFile(json)).toThrow("expected a JSON array");
+    });
+  });
+});
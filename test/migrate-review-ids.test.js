@@ -0,0 +1,91 @@
+/**
+ * Tests for the review ID migration
+ */
+import { describe, expect, it } from "bun:test";
+import fs from "node:fs";
+import path from "node:path";
+import { withTempDirAsync } from "#toolkit/test-utils/index.js";
+import {
+  migrateBusinessDir,
+  recoverReviewId,
+} from "../src/scripts/migrate-review-ids.js";
+
+const writeReview = (dir, file, review) =>
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(review, null, 2));
+
+const readReview = (dir, file) =>
+  JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+
+describe("recoverReviewId", () => {
+  it("recovers Trustpilot IDs from the stored userId", () => {
+    expect(
+      recoverReviewId({ source: "trustpilot", userId: "tp-6a0744627d11" }),
+    ).toBe("6a0744627d11");
+  });
+
+  it("recovers Facebook IDs from the post URL", () => {
+    expect(
+      recoverReviewId({
+        source: "facebook",
+        authorUrl: "https://www.facebook.com/gareth/posts/pfbid02fZn",
+      }),
+    ).toBe("pfbid02fZn");
+  });
+
+  it("cannot recover Google IDs", () => {
+    expect(recoverReviewId({ source: "google", userId: "123" })).toBe(null);
+    expect(recoverReviewId({ userId: "123" })).toBe(null);
+  });
+});
+
+describe("migrateBusinessDir", () => {
+  it("backfills IDs and renames files without duplicating them", async () => {
+    await withTempDirAsync("migrate-ids", async (dir) => {
+      writeReview(dir, "jamie-2026-05-15.json", {
+        author: "Jamie",
+        date: "2026-05-15T18:05:54.000Z",
+        userId: "tp-6a0744627d11",
+        source: "trustpilot",
+      });
+      writeReview(dir, "sam-2023-01-01.json", {
+        author: "Sam",
+        date: "2023-01-01T00:00:00.000Z",
+        userId: "123",
+      });
+      fs.writeFileSync(path.join(dir, "schema.json"), "{}");
+
+      expect(migrateBusinessDir(dir)).toEqual({
+        migrated: 1,
+        skipped: 1,
+        conflict: 0,
+      });
+
+      const files = fs.readdirSync(dir).sort();
+      expect(files).toHaveLength(4);
+      expect(files).toContain("reviews.index.json");
+      expect(files).toContain("sam-2023-01-01.json");
+      expect(files).not.toContain("jamie-2026-05-15.json");
+
+      const renamed = files.find((file) => file.startsWith("jamie-"));
+      expect(renamed).toMatch(/^jamie-2026-05-15-[0-9a-f]{8}\.json$/);
+      expect(readReview(dir, renamed).reviewId).toBe("6a0744627d11");
+    });
+  });
+
+  it("is safe to re-run", async () => {
+    await withTempDirAsync("migrate-ids-rerun", async (dir) => {
+      writeReview(dir, "jamie-2026-05-15.json", {
+        author: "Jamie",
+        date: "2026-05-15T18:05:54.000Z",
+        userId: "tp-6a0744627d11",
+        source: "trustpilot",
+      });
+
+      migrateBusinessDir(dir);
+      const before = fs.readdirSync(dir);
+
+      expect(migrateBusinessDir(dir).migrated).toBe(0);
+      expect(fs.readdirSync(dir)).toEqual(before);
+    });
+  });
+});
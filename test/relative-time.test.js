@@ -0,0 +1,71 @@
+/**
+ * Tests for relative review date formatting
+ */
+import { describe, expect, it } from "bun:test";
+import {
+  daysBetween,
+  formatRelativeDate,
+  formatRelativeTime,
+} from "../src/lib/relative-time.js";
+
+const NOW = new Date("2024-06-15T12:00:00.000Z");
+
+const daysBefore = (days) =>
+  new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe("daysBetween", () => {
+  it("rounds partial days up", () => {
+    expect(daysBetween(daysBefore(0.5), NOW)).toBe(1);
+  });
+
+  it("is symmetric", () => {
+    expect(daysBetween(NOW, daysBefore(3))).toBe(3);
+  });
+});
+
+describe("formatRelativeTime", () => {
+  it("labels today and yesterday", () => {
+    expect(formatRelativeTime(0)).toBe("Today");
+    expect(formatRelativeTime(1)).toBe("Yesterday");
+  });
+
+  it("uses days, weeks, months then years", () => {
+    expect(formatRelativeTime(5)).toBe("5 days ago");
+    expect(formatRelativeTime(21)).toBe("3 weeks ago");
+    expect(formatRelativeTime(90)).toBe("3 months ago");
+    expect(formatRelativeTime(800)).toBe("2 years ago");
+  });
+});
+
+describe("formatRelativeDate", () => {
+  it("accepts ISO strings and Date objects", () => {
+    expect(formatRelativeDate(daysBefore(5).toISOString(), NOW)).toBe(
+      "5 days ago",
+    );
+    expect(formatRelativeDate(daysBefore(5), NOW)).toBe("5 days ago");
+  });
+
+  it("measures from the current time by default", () => {
+    expect(formatRelativeDate(new Date())).toBe("Today");
+  });
+});
+
+describe("localised relative dates", () => {
+  it("formats in the requested locale", () => {
+    expect(formatRelativeTime(0, "de")).toBe("Heute");
+    expect(formatRelativeTime(5, "fr")).toBe("Il y a 5 jours");
+    expect(formatRelativeTime(21, "es")).toBe("Hace 3 semanas");
+  });
+
+  it("says 1 week ago rather than last week", () => {
+    expect(formatRelativeTime(8)).toBe("1 week ago");
+  });
+
+  it("returns an empty string for unparseable dates", () => {
+    expect(formatRelativeDate("not a date", NOW)).toBe("");
+  });
+
+  it("passes the locale through formatRelativeDate", () => {
+    expect(formatRelativeDate(daysBefore(1), NOW, "nl")).toBe("Gisteren");
+  });
+});
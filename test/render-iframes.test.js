@@ -0,0 +1,752 @@
+/**
+ * Tests for iframe HTML rendering
+ */
+import { describe, expect, it } from "bun:test";
+import {
+  buildThemeCss,
+  computeRatingSummary,
+  fillTemplate,
+  generateEmbedCode,
+  generateReviewsHtml,
+  generateSchema,
+  generateSchemaSnippet,
+  getInitials,
+  renderRating,
+  renderReviewCard,
+  renderStars,
+  renderSummary,
+  renderThemeStyle,
+  renderTripType,
+  resolveColorScheme,
+  selectVisibleReviews,
+} from "../src/render-iframes.js";
+
+const makeReview = (overrides) => ({
+  author: "Jane Doe",
+  authorUrl: "https://www.google.com/maps/contrib/123",
+  rating: 5,
+  content: "Great service, would use again!",
+  date: "2024-01-01T00:00:00.000Z",
+  userId: "123",
+  thumbnail: null,
+  source: "google",
+  ...overrides,
+});
+
+// Hostile values as they might arrive from a scraped review
+const HOSTILE = {
+  author: `<img src=x onerror="alert('author')">`,
+  content: "</div><script>alert('content')</script>",
+  authorUrl: "javascript:alert('url')",
+  quoteUrl: 'https://example.com/"><script>alert(1)</script>',
+  initialsBreakout: "' + alert(1) + '",
+};
+
+describe("getInitials", () => {
+  it("takes the first letter of up to two words", () => {
+    expect(getInitials("jane mary doe")).toBe("JM");
+  });
+
+  it("handles missing names", () => {
+    expect(getInitials(undefined)).toBe("");
+  });
+});
+
+describe("renderStars", () => {
+  it("renders filled and empty stars", () => {
+    const html = renderStars(3);
+    expect(html.match(/star filled/g).length).toBe(3);
+    expect(html.match(/star empty/g).length).toBe(2);
+  });
+
+  it("treats non-numeric ratings as zero", () => {
+    const html = renderStars('"><script>');
+    expect(html.match(/star empty/g).length).toBe(5);
+    expect(html).not.toContain("<script>");
+  });
+});
+
+describe("renderRating", () => {
+  it("shows recommends badge for positive Facebook reviews", () => {
+    expect(renderRating({ source: "facebook", rating: 5 })).toContain(
+      "Recommends",
+    );
+  });
+
+  it("shows does-not-recommend badge for negative Facebook reviews", () => {
+    expect(renderRating({ source: "facebook", rating: 1 })).toContain(
+      "Does not recommend",
+    );
+  });
+
+  it("shows stars for other sources", () => {
+    expect(renderRating({ source: "trustpilot", rating: 4 })).toContain(
+      "star-rating",
+    );
+  });
+});
+
+describe("renderReviewCard", () => {
+  it("renders author link, content and initials", () => {
+    const html = renderReviewCard(makeReview());
+    expect(html).toContain(
+      '<a href="https://www.google.com/maps/contrib/123" target="_blank"',
+    );
+    expect(html).toContain(">Jane Doe</a>");
+    expect(html).toContain("Great service, would use again!");
+    expect(html).toContain('data-initials="JD"');
+  });
+
+  it("escapes markup in the author name", () => {
+    const html = renderReviewCard(makeReview({ author: HOSTILE.author }));
+    expect(html).not.toContain("<img src=x");
+    expect(html).toContain("&lt;img src=x onerror=&quot;alert(&#39;author");
+  });
+
+  it("escapes markup in the review content", () => {
+    const html = renderReviewCard(makeReview({ content: HOSTILE.content }));
+    expect(html).not.toContain("<script>");
+    expect(html).toContain(
+      "&lt;/div&gt;&lt;script&gt;alert(&#39;content&#39;)&lt;/script&gt;",
+    );
+  });
+
+  it("drops javascript: author URLs but keeps the name", () => {
+    const html = renderReviewCard(makeReview({ authorUrl: HOSTILE.authorUrl }));
+    expect(html).not.toContain("javascript:");
+    expect(html).not.toContain("<a ");
+    expect(html).toContain("Jane Doe");
+  });
+
+  it("cannot break out of the href attribute", () => {
+    const html = renderReviewCard(makeReview({ authorUrl: HOSTILE.quoteUrl }));
+    expect(html).not.toContain("<script>");
+    expect(html.match(/href="([^"]*)"/)[1]).toBe(
+      "https://example.com/%22%3E%3Cscript%3Ealert(1)%3C/script%3E",
+    );
+  });
+
+  it("renders without a link when authorUrl is empty", () => {
+    const html = renderReviewCard(makeReview({ authorUrl: "" }));
+    expect(html).not.toContain("<a ");
+  });
+
+  it("renders a thumbnail with 2x srcset", () => {
+    const html = renderReviewCard(
+      makeReview({ thumbnail: "/images/reviewers/123.webp" }),
+    );
+    expect(html).toContain('src="/images/reviewers/123.webp"');
+    expect(html).toContain("/images/reviewers/123@2x.webp 2x");
+    expect(html).toContain('alt="Jane Doe"');
+  });
+
+  it("never places initials inside the onerror handler", () => {
+    const html = renderReviewCard(
+      makeReview({
+        author: HOSTILE.initialsBreakout,
+        thumbnail: "/images/reviewers/123.webp",
+      }),
+    );
+    const onerror = html.match(/onerror="([^"]*)"/)[1];
+    expect(onerror).toBe(
+      "this.parentElement.textContent=this.parentElement.dataset.initials",
+    );
+    expect(html).toContain('data-initials="&#39;+"');
+  });
+
+  it("escapes quotes in the thumbnail path", () => {
+    const html = renderReviewCard(
+      makeReview({ thumbnail: '/images/x.webp" onload="alert(1)' }),
+    );
+    expect(html).not.toContain('" onload="');
+  });
+
+  it("handles missing content", () => {
+    const html = renderReviewCard(makeReview({ content: undefined }));
+    expect(html).toContain('<div class="review-content"></div>');
+  });
+});
+
+describe("fillTemplate", () => {
+  const template =
+    "<head>{{TITLE}}</head><main>{{REVIEWS_HTML}}</main>{{SCRIPT}}";
+
+  it("inserts review text containing replacement patterns as-is", () => {
+    const reviewsHtml = renderReviewCard(
+      makeReview({ content: "Only $` per hour, $' extra, $& more" }),
+    );
+    const html = fillTemplate(template, {
+      TITLE: "Reviews",
+      REVIEWS_HTML: reviewsHtml,
+      SCRIPT: "",
+    });
+
+    expect(html).toBe(`<head>Reviews</head><main>${reviewsHtml}</main>`);
+  });
+
+  it("doesn't fill placeholders that appear in inserted text", () => {
+    const html = fillTemplate(template, {
+      TITLE: "{{SCRIPT}}",
+      REVIEWS_HTML: "",
+      SCRIPT: "<script></script>",
+    });
+
+    expect(html).toBe("<head>{{SCRIPT}}</head><main></main><script></script>");
+  });
+});
+
+describe("generateReviewsHtml", () => {
+  it("shows a placeholder when there are no reviews", () => {
+    expect(generateReviewsHtml([])).toContain("No reviews available.");
+    expect(generateReviewsHtml(null)).toContain("No reviews available.");
+  });
+
+  it("wraps cards in the masonry container", () => {
+    const html = generateReviewsHtml([makeReview(), makeReview()]);
+    expect(html.startsWith('<div class="masonry-container">')).toBe(true);
+    expect(html.match(/class="review-card"/g).length).toBe(2);
+  });
+});
+
+describe("generateEmbedCode", () => {
+  it("points the iframe at the business slug", () => {
+    const code = generateEmbedCode("my-business");
+    expect(code).toContain(
+      'src="https://reviews-embeds.chobble.com/my-business/"',
+    );
+    expect(code).toContain("<!-- Reviews Embed Code for my-business -->");
+  });
+});
+
+describe("computeRatingSummary", () => {
+  const reviews = [
+    makeReview({ rating: 5, source: "google" }),
+    makeReview({ rating: 4, source: "google" }),
+    makeReview({ rating: 5, source: undefined }),
+    makeReview({ rating: 3, source: "trustpilot" }),
+    makeReview({ rating: 5, source: "facebook" }),
+    makeReview({ rating: 1, source: "facebook" }),
+  ];
+
+  it("counts every review in the total", () => {
+    expect(computeRatingSummary(reviews).total).toBe(6);
+  });
+
+  it("averages star ratings, excluding Facebook recommendations", () => {
+    const summary = computeRatingSummary(reviews);
+    expect(summary.ratedCount).toBe(4);
+    expect(summary.average).toBe(4.3);
+  });
+
+  it("builds a 1-5 star histogram from star ratings", () => {
+    expect(computeRatingSummary(reviews).histogram).toEqual({
+      5: 2,
+      4: 1,
+      3: 1,
+      2: 0,
+      1: 0,
+    });
+  });
+
+  it("breaks down by source, treating missing source as google", () => {
+    expect(computeRatingSummary(reviews).sources).toEqual([
+      { source: "google", count: 3, average: 4.7 },
+      { source: "trustpilot", count: 1, average: 3 },
+      { source: "facebook", count: 2, recommends: 1 },
+    ]);
+  });
+
+  it("has no average when only Facebook reviews exist", () => {
+    const summary = computeRatingSummary([
+      makeReview({ rating: 5, source: "facebook" }),
+    ]);
+    expect(summary.average).toBe(null);
+    expect(summary.ratedCount).toBe(0);
+  });
+});
+
+describe("renderSummary", () => {
+  it("shows average, total, histogram and sources", () => {
+    const html = renderSummary(
+      computeRatingSummary([
+        makeReview({ rating: 5 }),
+        makeReview({ rating: 4, source: "trustpilot" }),
+        makeReview({ rating: 5, source: "facebook" }),
+      ]),
+    );
+    expect(html).toContain('<div class="summary-average">4.5</div>');
+    expect(html).toContain("3 reviews");
+    expect(html).toContain("summary-histogram");
+    expect(html).toContain("Google</span> 5.0 from 1 review");
+    expect(html).toContain("Trustpilot</span> 4.0 from 1 review");
+    expect(html).toContain("Facebook</span> 1 of 1 recommend");
+  });
+
+  it("omits the average and histogram for Facebook-only businesses", () => {
+    const html = renderSummary(
+      computeRatingSummary([makeReview({ rating: 5, source: "facebook" })]),
+    );
+    expect(html).not.toContain("summary-average");
+    expect(html).not.toContain("summary-histogram");
+    expect(html).toContain("1 review");
+  });
+});
+
+describe("generateReviewsHtml summary option", () => {
+  it("omits the summary by default", () => {
+    expect(generateReviewsHtml([makeReview()])).not.toContain(
+      "reviews-summary",
+    );
+  });
+
+  it("places the summary before the masonry container", () => {
+    const html = generateReviewsHtml([makeReview()], { showSummary: true });
+    expect(html.indexOf("reviews-summary")).toBeLessThan(
+      html.indexOf("masonry-container"),
+    );
+  });
+});
+
+describe("generateSchema", () => {
+  const business = { slug: "my-business", name: "My Business" };
+  const reviews = [
+    makeReview({ rating: 5, date: "2024-03-01T10:00:00.000Z" }),
+    makeReview({ rating: 4, source: "trustpilot", author: "Bob" }),
+    makeReview({ rating: 5, source: "facebook", author: "Carol" }),
+  ];
+
+  it("describes the business with an aggregate rating", () => {
+    const schema = generateSchema(business, reviews);
+    expect(schema["@context"]).toBe("https://schema.org");
+    expect(schema["@type"]).toBe("LocalBusiness");
+    expect(schema.name).toBe("My Business");
+    expect(schema.aggregateRating).toEqual({
+      "@type": "AggregateRating",
+      ratingValue: 4.5,
+      reviewCount: 2,
+      bestRating: 5,
+      worstRating: 1,
+    });
+  });
+
+  it("falls back to the slug when no name is configured", () => {
+    expect(generateSchema({ slug: "my-business" }, reviews).name).toBe(
+      "my-business",
+    );
+  });
+
+  it("includes the business url when configured", () => {
+    const schema = generateSchema(
+      { ...business, url: "https://example.com" },
+      reviews,
+    );
+    expect(schema.url).toBe("https://example.com");
+  });
+
+  it("builds Review objects with rating and date", () => {
+    const [first] = generateSchema(business, reviews).review;
+    expect(first).toEqual({
+      "@type": "Review",
+      author: { "@type": "Person", name: "Jane Doe" },
+      datePublished: "2024-03-01",
+      reviewBody: "Great service, would use again!",
+      reviewRating: {
+        "@type": "Rating",
+        ratingValue: 5,
+        bestRating: 5,
+        worstRating: 1,
+      },
+      publisher: { "@type": "Organization", name: "Google" },
+    });
+  });
+
+  it("omits reviewRating for Facebook recommendations", () => {
+    const facebook = generateSchema(business, reviews).review[2];
+    expect(facebook.reviewRating).toBeUndefined();
+    expect(facebook.publisher.name).toBe("Facebook");
+  });
+
+  it("limits reviews to schema_review_count", () => {
+    expect(
+      generateSchema({ ...business, schema_review_count: 1 }, reviews).review,
+    ).toHaveLength(1);
+    expect(
+      generateSchema({ ...business, schema_review_count: 0 }, reviews).review,
+    ).toHaveLength(0);
+  });
+
+  it("omits aggregateRating when there are no star ratings", () => {
+    const schema = generateSchema(business, [
+      makeReview({ source: "facebook" }),
+    ]);
+    expect(schema.aggregateRating).toBeUndefined();
+  });
+});
+
+describe("generateSchemaSnippet", () => {
+  it("wraps the schema in a JSON-LD script tag", () => {
+    const snippet = generateSchemaSnippet({ name: "My Business" });
+    expect(snippet).toContain('<script type="application/ld+json">');
+    expect(snippet).toContain('"name": "My Business"');
+  });
+
+  it("cannot be closed early by review content", () => {
+    const snippet = generateSchemaSnippet({
+      reviewBody: "</script><script>alert(1)</script>",
+    });
+    expect(snippet.match(/<\/script>/g)).toHaveLength(1);
+  });
+});
+
+describe("buildThemeCss", () => {
+  it("returns empty string when no theme is configured", () => {
+    expect(buildThemeCss()).toBe("");
+    expect(buildThemeCss({})).toBe("");
+  });
+
+  it("maps theme keys to custom properties", () => {
+    const css = buildThemeCss({
+      accent_color: "#ff0000",
+      star_color: "gold",
+      card_background: "#fafafa",
+      text_color: "rgb(10, 10, 10)",
+      font_family: '"Inter", sans-serif',
+    });
+    expect(css).toContain("--avatar-background: #ff0000;");
+    expect(css).toContain("--star-color: gold;");
+    expect(css).toContain("--card-background: #fafafa;");
+    expect(css).toContain("--text-color: rgb(10, 10, 10);");
+    expect(css).toContain('--font-family: "Inter", sans-serif;');
+    expect(css.startsWith(":root[data-color-scheme] {")).toBe(true);
+  });
+
+  it("only applies the card and text colours in the light scheme", () => {
+    const css = buildThemeCss({
+      star_color: "gold",
+      card_background: "#fafafa",
+      text_color: "#222",
+    });
+    expect(css).toBe(
+      ":root[data-color-scheme] { --star-color: gold; } " +
+        ':root[data-color-scheme="light"] { --card-background: #fafafa; --text-color: #222; } ' +
+        '@media (prefers-color-scheme: light) { :root[data-color-scheme="auto"] { --card-background: #fafafa; --text-color: #222; } }',
+    );
+  });
+
+  it("treats numeric sizes as pixels and line_height as unitless", () => {
+    const css = buildThemeCss({
+      border_radius: 4,
+      font_size: 15,
+      line_height: 1.5,
+    });
+    expect(css).toContain("--border-radius: 4px;");
+    expect(css).toContain("--font-size: 15px;");
+    expect(css).toContain("--line-height: 1.5;");
+  });
+
+  it("only accepts a font_size in pixels", () => {
+    expect(buildThemeCss({ font_size: "15px" })).toContain(
+      "--font-size: 15px;",
+    );
+    expect(buildThemeCss({ font_size: "15.5" })).toContain(
+      "--font-size: 15.5px;",
+    );
+    expect(buildThemeCss({ font_size: "1.1rem" })).toBe("");
+    expect(buildThemeCss({ border_radius: "1rem" })).toContain(
+      "--border-radius: 1rem;",
+    );
+  });
+
+  it("turns the shadow off only when explicitly false", () => {
+    expect(buildThemeCss({ shadow: false })).toContain("--card-shadow: none;");
+    expect(buildThemeCss({ shadow: true })).toBe("");
+  });
+
+  it("skips values that could break out of the declaration", () => {
+    const css = buildThemeCss({
+      star_color: "red; } body { display: none",
+      text_color: "</style><script>alert(1)</script>",
+      accent_color: "#fff",
+    });
+    expect(css).toBe(":root[data-color-scheme] { --avatar-background: #fff; }");
+  });
+});
+
+describe("renderThemeStyle", () => {
+  it("wraps theme CSS in a style element", () => {
+    expect(renderThemeStyle({ star_color: "gold" })).toBe(
+      '<style type="text/css">:root[data-color-scheme] { --star-color: gold; }</style>',
+    );
+  });
+
+  it("renders nothing without a theme", () => {
+    expect(renderThemeStyle(undefined)).toBe("");
+  });
+});
+
+describe("resolveColorScheme", () => {
+  it("accepts light, dark and auto", () => {
+    expect(resolveColorScheme("light")).toBe("light");
+    expect(resolveColorScheme("dark")).toBe("dark");
+    expect(resolveColorScheme("auto")).toBe("auto");
+  });
+
+  it("defaults to light when unset or invalid", () => {
+    expect(resolveColorScheme(undefined)).toBe("light");
+    expect(resolveColorScheme('dark" onload="x')).toBe("light");
+  });
+});
+
+describe("generateEmbedCode color scheme", () => {
+  it("leaves the iframe URL bare by default", () => {
+    expect(generateEmbedCode("my-business")).toContain(
+      'src="https://reviews-embeds.chobble.com/my-business/"',
+    );
+  });
+
+  it("adds a color_scheme query parameter when requested", () => {
+    expect(generateEmbedCode("my-business", { colorScheme: "dark" })).toContain(
+      'src="https://reviews-embeds.chobble.com/my-business/?color_scheme=dark"',
+    );
+  });
+
+  it("ignores unknown color schemes", () => {
+    expect(
+      generateEmbedCode("my-business", { colorScheme: "purple" }),
+    ).not.toContain("color_scheme");
+  });
+});
+
+describe("renderReviewCard dates", () => {
+  it("emits a machine-readable time element", () => {
+    const html = renderReviewCard(
+      makeReview({ date: "2024-01-01T00:00:00.000Z" }),
+    );
+    expect(html).toContain(
+      '<time class="review-date" datetime="2024-01-01T00:00:00.000Z">',
+    );
+  });
+
+  it("includes a render-time label as the no-JS fallback", () => {
+    // Just under three days, so the milliseconds until render can't tip it
+    const threeDaysAgo = new Date(Date.now() - 71 * 60 * 60 * 1000);
+    const html = renderReviewCard(
+      makeReview({ date: threeDaysAgo.toISOString() }),
+    );
+    expect(html).toMatch(/<time [^>]*>3 days ago<\/time>/);
+  });
+
+  it("keeps unparseable dates as-is in the datetime attribute", () => {
+    const html = renderReviewCard(makeReview({ date: '"><b>' }));
+    expect(html).toContain('datetime="&quot;&gt;&lt;b&gt;"');
+  });
+});
+
+describe("localised rendering", () => {
+  it("translates the Facebook badges", () => {
+    expect(renderRating({ source: "facebook", rating: 5 }, "fr")).toContain(
+      "Recommande",
+    );
+    expect(renderRating({ source: "facebook", rating: 1 }, "de")).toContain(
+      "Empfiehlt nicht",
+    );
+  });
+
+  it("translates the empty state", () => {
+    expect(generateReviewsHtml([], { locale: "es" })).toContain(
+      "No hay reseñas disponibles.",
+    );
+  });
+
+  it("localises card dates", () => {
+    const html = renderReviewCard(
+      makeReview({
+        date: new Date(Date.now() - 730 * 24 * 60 * 60 * 1000).toISOString(),
+      }),
+      "de",
+    );
+    // Well clear of a unit boundary, however long rendering takes
+    expect(html).toMatch(/<time [^>]*>Vor 2 Jahren<\/time>/);
+  });
+
+  it("localises the summary numbers and strings", () => {
+    const html = renderSummary(
+      computeRatingSummary([
+        makeReview({ rating: 5 }),
+        makeReview({ rating: 4 }),
+      ]),
+      "fr",
+    );
+    expect(html).toContain('<div class="summary-average">4,5</div>');
+    expect(html).toContain("2 avis");
+    expect(html).toContain("4,5 d&#39;après 2 avis");
+  });
+});
+
+describe("owner responses", () => {
+  const withResponse = makeReview({
+    ownerResponse: { content: "Thanks <b>Jane</b>!", date: null },
+  });
+
+  it("is hidden unless enabled", () => {
+    expect(renderReviewCard(withResponse)).not.toContain("owner-response");
+    expect(generateReviewsHtml([withResponse])).not.toContain("owner-response");
+  });
+
+  const enabled = { showOwnerResponses: true };
+
+  it("renders a collapsed, escaped reply block when enabled", () => {
+    const html = renderReviewCard(withResponse, "en", enabled);
+    expect(html).toContain('<details class="owner-response">');
+    expect(html).toContain("<summary>Response from the owner</summary>");
+    expect(html).toContain("Thanks &lt;b&gt;Jane&lt;/b&gt;!");
+    expect(html).not.toContain('<details class="owner-response" open');
+  });
+
+  it("translates the summary", () => {
+    expect(renderReviewCard(withResponse, "de", enabled)).toContain(
+      "Antwort des Inhabers",
+    );
+  });
+
+  it("renders nothing for reviews without a reply", () => {
+    expect(renderReviewCard(makeReview(), "en", enabled)).not.toContain(
+      "owner-response",
+    );
+  });
+
+  it("is enabled by the showOwnerResponses option", () => {
+    const html = generateReviewsHtml([withResponse], {
+      showOwnerResponses: true,
+    });
+    expect(html).toContain("owner-response-content");
+  });
+});
+
+describe("review photos", () => {
+  const photo = {
+    url: "https://lh3.googleusercontent.com/geougc-cs/a",
+    thumbnail: "/images/reviews/abc.webp",
+  };
+
+  it("renders a strip of fixed-size thumbnails", () => {
+    const html = renderReviewCard(makeReview({ photos: [photo, photo] }));
+    expect(html).toContain('<div class="review-photos">');
+    expect(html.match(/class="review-photo"/g)).toHaveLength(2);
+    expect(html).toContain('width="64" height="64"');
+    expect(html).toContain("/images/reviews/abc@2x.webp 2x");
+    expect(html).toContain(`href="${photo.url}"`);
+  });
+
+  it("renders nothing without photos", () => {
+    expect(renderReviewCard(makeReview())).not.toContain("review-photos");
+    expect(renderReviewCard(makeReview({ photos: [] }))).not.toContain(
+      "review-photos",
+    );
+  });
+
+  it("does not link unsafe photo URLs", () => {
+    const html = renderReviewCard(
+      makeReview({ photos: [{ ...photo, url: HOSTILE.authorUrl }] }),
+    );
+    expect(html).toContain('class="review-photo"');
+    expect(html).not.toContain("javascript:");
+  });
+});
+
+describe("selectVisibleReviews", () => {
+  it("drops reviews flagged as removed", () => {
+    const live = makeReview({ author: "Live" });
+    const removed = makeReview({ author: "Gone", removed: true });
+    expect(selectVisibleReviews([live, removed, null])).toEqual([live]);
+  });
+
+  it("sorts newest first", () => {
+    const older = makeReview({ author: "A", date: "2023-01-01T00:00:00Z" });
+    const newer = makeReview({ author: "B", date: "2024-01-01T00:00:00Z" });
+    expect(selectVisibleReviews([older, newer])).toEqual([newer, older]);
+  });
+});
+
+describe("Yelp reviews", () => {
+  it("renders stars with a Yelp credit", () => {
+    const html = renderRating({ source: "yelp", rating: 4 });
+    expect(html).toContain('<div class="star-rating">');
+    expect(html.match(/star filled/g)).toHaveLength(4);
+    expect(html).toContain('<span class="review-source">Yelp</span>');
+  });
+
+  it("counts towards the star average and source breakdown", () => {
+    const summary = computeRatingSummary([
+      makeReview({ source: "yelp", rating: 4 }),
+      makeReview({ source: "google", rating: 5 }),
+    ]);
+    expect(summary.average).toBe(4.5);
+    expect(summary.sources.map((s) => s.source)).toContain("yelp");
+  });
+});
+
+describe("Checkatrade sub-ratings", () => {
+  const checkatrade = makeReview({
+    source: "checkatrade",
+    rating: 4.5,
+    subRatings: { workmanship: 5, tidiness: 4.5, reliability: 4 },
+  });
+
+  it("are hidden unless enabled", () => {
+    expect(renderRating(checkatrade)).not.toContain("sub-ratings");
+    expect(renderReviewCard(checkatrade)).not.toContain("sub-ratings");
+  });
+
+  it("render in display order after the stars when enabled", () => {
+    const html = renderRating(checkatrade, "en", true);
+    expect(html).toContain('<div class="star-rating">');
+    expect(html).toContain(
+      '<span class="sub-ratings" title="Workmanship 5 · Tidiness 4.5 · Reliability 4">',
+    );
+  });
+
+  it("use translated labels and the locale's decimal separator", () => {
+    const html = renderRating(checkatrade, "fr", true);
+    expect(html).toContain("Propreté 4,5");
+  });
+
+  it("render nothing for reviews without sub-ratings", () => {
+    const html = renderRating(makeReview({ rating: 4 }), "en", true);
+    expect(html).toBe(renderStars(4));
+  });
+
+  it("are enabled by the showSubRatings option", () => {
+    const html = generateReviewsHtml([checkatrade], { showSubRatings: true });
+    expect(html).toContain('class="sub-ratings"');
+  });
+});
+
+describe("Tripadvisor reviews", () => {
+  it("renders bubbles instead of stars", () => {
+    const html = renderRating({ source: "tripadvisor", rating: 3 });
+    expect(html).toContain('<div class="bubble-rating"');
+    expect(html).not.toContain("star");
+    expect(html.match(/bubble filled/g)).toHaveLength(3);
+    expect(html.match(/bubble empty/g)).toHaveLength(2);
+  });
+
+  it("renders a translated trip type", () => {
+    expect(renderTripType("couples", "en")).toContain(
+      '<span class="review-trip-type">Travelled as a couple</span>',
+    );
+    expect(renderTripType("business", "de")).toContain("Geschäftsreise");
+  });
+
+  it("renders nothing for missing or unknown trip types", () => {
+    expect(renderTripType(undefined, "en")).toBe("");
+    expect(renderTripType("toString", "en")).toBe("");
+  });
+
+  it("shows the trip type in the card meta line", () => {
+    const html = renderReviewCard(
+      makeReview({ source: "tripadvisor", tripType: "family" }),
+    );
+    expect(html).toContain("Travelled with family");
+  });
+});
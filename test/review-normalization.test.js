@@ -6,22 +6,40 @@
  */
 import { describe, expect, it } from "bun:test";
 import { filter, flatMap, map, pipe } from "#toolkit/fp/index.js";
+import {
+  normaliseScore,
+  normaliseSubRatings,
+  normalizeCheckatradeReview,
+} from "../src/fetch-checkatrade-reviews.js";
 import {
   extractFacebookUserId,
   normalizeFacebookReview,
 } from "../src/fetch-facebook-reviews.js";
 import { normalizeGoogleReview } from "../src/fetch-google-reviews.js";
+import {
+  extractTripadvisorUserId,
+  normalizeTripadvisorReview,
+  normalizeTripType,
+} from "../src/fetch-tripadvisor-reviews.js";
 import {
   buildTrustpilotContent,
   extractTrustpilotUserId,
   normalizeTrustpilotReview,
 } from "../src/fetch-trustpilot-reviews.js";
+import {
+  extractYelpUserId,
+  normalizeYelpReview,
+} from "../src/fetch-yelp-reviews.js";
 import { hasContent } from "../src/lib/shared.js";
 import {
+  createCheckatradeReview,
   createFacebookReview,
   createGoogleResponse,
   createGoogleReview,
+  createTripadvisorReview,
   createTrustpilotReview,
+  createYelpReview,
+  sampleData,
 } from "./apify-mock.js";
 
 describe("Google Review Normalization", () => {
@@ -128,6 +146,41 @@ describe("Google Review Normalization", () => {
     expect(reviews[0].content).toBe("Review 1");
     expect(reviews[1].content).toBe("Review 2");
   });
+
+  it("captures the owner response", () => {
+    const raw = createGoogleReview({
+      responseFromOwnerText: "Thanks John!",
+      responseFromOwnerDate: "2024-06-16T09:00:00.000Z",
+    });
+    const normalized = normalizeGoogleReview(raw);
+    expect(normalized.ownerResponse.content).toBe("Thanks John!");
+    expect(normalized.ownerResponse.date.toISOString()).toBe(
+      "2024-06-16T09:00:00.000Z",
+    );
+  });
+
+  it("sets ownerResponse to null when there is no reply", () => {
+    const normalized = normalizeGoogleReview(createGoogleReview());
+    expect(normalized.ownerResponse).toBe(null);
+  });
+
+  it("captures the native review ID", () => {
+    const raw = createGoogleReview({ reviewId: "Ci9DQUlRQUNvZENodHljRjlv" });
+    expect(normalizeGoogleReview(raw).reviewId).toBe(
+      "Ci9DQUlRQUNvZENodHljRjlv",
+    );
+    expect(normalizeGoogleReview(createGoogleReview()).reviewId).toBe(null);
+  });
+
+  it("captures review photo URLs", () => {
+    const raw = createGoogleReview({
+      reviewImageUrls: ["https://lh3.googleusercontent.com/geougc-cs/a"],
+    });
+    expect(normalizeGoogleReview(raw).imageUrls).toEqual([
+      "https://lh3.googleusercontent.com/geougc-cs/a",
+    ]);
+    expect(normalizeGoogleReview(createGoogleReview()).imageUrls).toEqual([]);
+  });
 });
 
 describe("Facebook Review Normalization", () => {
@@ -198,6 +251,24 @@ describe("Facebook Review Normalization", () => {
     expect(extractFacebookUserId(null)).toBe(null);
     expect(extractFacebookUserId({})).toBe(null);
   });
+
+  it("uses the post ID from the review URL as the review ID", () => {
+    const raw = createFacebookReview({
+      url: "https://www.facebook.com/jane.doe/posts/pfbid02abc",
+    });
+    expect(normalizeFacebookReview(raw).reviewId).toBe("pfbid02abc");
+  });
+
+  it("captures the page response", () => {
+    const raw = createFacebookReview({
+      pageResponse: { text: "Thanks Jane!", date: "2024-06-16" },
+    });
+    const normalized = normalizeFacebookReview(raw);
+    expect(normalized.ownerResponse.content).toBe("Thanks Jane!");
+    expect(normalizeFacebookReview(createFacebookReview()).ownerResponse).toBe(
+      null,
+    );
+  });
 });
 
 describe("Trustpilot Review Normalization", () => {
@@ -263,6 +334,183 @@ describe("Trustpilot Review Normalization", () => {
     expect(buildTrustpilotContent(null, "Text")).toBe("Text");
     expect(buildTrustpilotContent("", "Text")).toBe("Text");
   });
+
+  it("captures the native review ID", () => {
+    const raw = createTrustpilotReview({
+      reviewId: "6a0744627d11e43b9244a90d",
+    });
+    expect(normalizeTrustpilotReview(raw).reviewId).toBe(
+      "6a0744627d11e43b9244a90d",
+    );
+  });
+
+  it("captures the company reply", () => {
+    const raw = createTrustpilotReview({
+      replyText: "Thanks Bob!",
+      replyDate: "2024-06-16",
+    });
+    const normalized = normalizeTrustpilotReview(raw);
+    expect(normalized.ownerResponse.content).toBe("Thanks Bob!");
+    expect(
+      normalizeTrustpilotReview(createTrustpilotReview()).ownerResponse,
+    ).toBe(null);
+  });
+});
+
+describe("Yelp Review Normalization", () => {
+  it("normalizes the core fields", () => {
+    const normalized = normalizeYelpReview(createYelpReview());
+    expect(normalized.content).toBe(
+      "Best brunch in town, the pancakes are unreal.",
+    );
+    expect(normalized.rating).toBe(5);
+    expect(normalized.author).toBe("Sam K.");
+    expect(normalized.date.toISOString()).toBe("2024-06-15T09:00:00.000Z");
+    expect(normalized.photoUrl).toBe(
+      "https://s3-media0.fl.yelpcdn.com/photo/sam.jpg",
+    );
+  });
+
+  it("uses the Yelp review ID and a yelp- prefixed user ID", () => {
+    const normalized = normalizeYelpReview(createYelpReview());
+    expect(normalized.reviewId).toBe("yelp-review-xyz789");
+    expect(normalized.userId).toBe("yelp-AbC123xYz");
+  });
+
+  it("captures the business response", () => {
+    const [, withResponse] = sampleData.yelp.mixedReviews;
+    const normalized = normalizeYelpReview(withResponse);
+    expect(normalized.ownerResponse.content).toBe(
+      "Sorry Pat, we have spoken to the kitchen team.",
+    );
+    expect(normalizeYelpReview(createYelpReview()).ownerResponse).toBe(null);
+  });
+
+  it("extractYelpUserId handles missing and unexpected URLs", () => {
+    expect(extractYelpUserId(null)).toBe(null);
+    expect(extractYelpUserId("https://www.yelp.com/biz/some-cafe")).toBe(null);
+  });
+});
+
+describe("Tripadvisor Review Normalization", () => {
+  it("normalizes the core fields", () => {
+    const normalized = normalizeTripadvisorReview(createTripadvisorReview());
+    expect(normalized.rating).toBe(5);
+    expect(normalized.author).toBe("Alex M");
+    expect(normalized.date.toISOString()).toBe("2024-06-20T00:00:00.000Z");
+    expect(normalized.photoUrl).toBe(
+      "https://media-cdn.tripadvisor.com/media/photo-l/alex.jpg",
+    );
+    expect(normalized.reviewId).toBe("987654321");
+    expect(normalized.userId).toBe("ta-ABCDEF0123456789");
+  });
+
+  it("combines the title and text like Trustpilot", () => {
+    const normalized = normalizeTripadvisorReview(createTripadvisorReview());
+    expect(normalized.content).toBe(
+      "Lovely stay.\n\nSpotless rooms and the staff could not have been more helpful.",
+    );
+  });
+
+  it("keeps known trip types and drops the rest", () => {
+    expect(normalizeTripType("COUPLES")).toBe("couples");
+    expect(normalizeTripType("solo")).toBe("solo");
+    expect(normalizeTripType("NONE")).toBe(null);
+    expect(normalizeTripType(undefined)).toBe(null);
+    expect(normalizeTripadvisorReview(createTripadvisorReview()).tripType).toBe(
+      "couples",
+    );
+  });
+
+  it("captures the owner response and review photos", () => {
+    const [, withResponse] = sampleData.tripadvisor.mixedReviews;
+    expect(normalizeTripadvisorReview(withResponse).ownerResponse.content).toBe(
+      "Thanks Jo, quiet rooms can be requested at booking.",
+    );
+    const withPhotos = createTripadvisorReview({
+      photos: [{ image: "https://media-cdn.tripadvisor.com/p/1.jpg" }, {}],
+    });
+    expect(normalizeTripadvisorReview(withPhotos).imageUrls).toEqual([
+      "https://media-cdn.tripadvisor.com/p/1.jpg",
+    ]);
+  });
+
+  it("extractTripadvisorUserId handles missing users", () => {
+    expect(extractTripadvisorUserId(undefined)).toBe(null);
+    expect(extractTripadvisorUserId({ name: "No ID" })).toBe(null);
+  });
+});
+
+describe("Checkatrade Review Normalization", () => {
+  it("normalizes the core fields", () => {
+    const normalized = normalizeCheckatradeReview(createCheckatradeReview());
+    expect(normalized.author).toBe("Mrs Patel, Leeds");
+    expect(normalized.date.toISOString()).toBe("2024-07-02T00:00:00.000Z");
+    expect(normalized.reviewId).toBe("cat-5551234");
+    expect(normalized.content).toBe(
+      "Alarm system installation.\n\nTurned up on time, explained everything and left the place spotless.",
+    );
+  });
+
+  it("converts the score out of 10 to a rating out of 5", () => {
+    expect(normalizeCheckatradeReview(createCheckatradeReview()).rating).toBe(
+      4.8,
+    );
+    expect(normaliseScore(7)).toBe(3.5);
+    expect(normaliseScore("10")).toBe(5);
+    expect(normaliseScore(undefined)).toBe(null);
+  });
+
+  it("keeps the known sub-scores, normalised to 5", () => {
+    const [, partial] = sampleData.checkatrade.mixedReviews;
+    expect(normalizeCheckatradeReview(partial).subRatings).toEqual({
+      workmanship: 4,
+      tidiness: 2,
+    });
+    expect(
+      normaliseSubRatings({ workmanship: 9, value: 10, tidiness: "n/a" }),
+    ).toEqual({ workmanship: 4.5 });
+    expect(normaliseSubRatings(undefined)).toBe(null);
+  });
+
+  it("captures the trade's reply", () => {
+    const [, withReply] = sampleData.checkatrade.mixedReviews;
+    expect(normalizeCheckatradeReview(withReply).ownerResponse.content).toBe(
+      "Sorry about the tiles, we have been back to clear them.",
+    );
+  });
+});
+
+// The platforms added since share the same defaults and content filtering
+describe.each([
+  ["Yelp", normalizeYelpReview, sampleData.yelp, { userId: null }],
+  [
+    "Tripadvisor",
+    normalizeTripadvisorReview,
+    sampleData.tripadvisor,
+    { userId: null, ownerResponse: null, tripType: null },
+  ],
+  [
+    "Checkatrade",
+    normalizeCheckatradeReview,
+    sampleData.checkatrade,
+    { subRatings: null },
+  ],
+])("%s Review Defaults", (_platform, normalize, samples, defaults) => {
+  it("falls back to defaults for missing fields", () => {
+    expect(normalize({})).toMatchObject({
+      content: "",
+      rating: 0,
+      author: "Anonymous",
+      reviewId: null,
+      ...defaults,
+    });
+  });
+
+  it("filters out reviews without content", () => {
+    const normalized = samples.mixedReviews.map(normalize).filter(hasContent);
+    expect(normalized).toHaveLength(2);
+  });
 });
 
 describe("Content Filtering", () => {
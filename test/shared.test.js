@@ -6,18 +6,32 @@ import fs from "node:fs";
 import path from "node:path";
 import { withTempDirAsync } from "#toolkit/test-utils/index.js";
 import {
+  buildOwnerResponse,
   buildReviewData,
+  createPool,
   deduplicateReviews,
+  extractFacebookPostId,
   extractGoogleUserId,
   filterByPlatform,
   filterBySlug,
   formatFilename,
   formatRating,
+  getFetchOptions,
+  getIdentityKeys,
   getLatestReviewDate,
+  getRetryDelay,
+  getReviewIdentity,
+  getReviewPhotoId,
   isDnsError,
+  isFullResyncDue,
   isRedirect,
+  isRetryableError,
+  isReviewFile,
+  parseFetcherArgs,
+  parseRetryAfter,
   parseUrlSafe,
   shouldFetch,
+  tryDownloadReviewPhotos,
   updateLastFetched,
 } from "../src/lib/shared.js";
 
@@ -68,6 +82,15 @@ describe("formatFilename", () => {
     expect(result).toBe("john-smith-2024-06-15.json");
   });
 
+  it("appends a short hash of the review identity", () => {
+    const date = new Date("2026-05-15");
+    const first = formatFilename("Jamie", date, "trustpilot:abc");
+    const second = formatFilename("Jamie", date, "trustpilot:def");
+    expect(first).toMatch(/^jamie-2026-05-15-[0-9a-f]{8}\.json$/);
+    expect(second).not.toBe(first);
+    expect(formatFilename("Jamie", date, "trustpilot:abc")).toBe(first);
+  });
+
   it("handles special characters in name", () => {
     const result = formatFilename("José O'Brien", new Date("2024-01-01"));
     expect(result).toBe("jos-obrien-2024-01-01.json");
@@ -184,6 +207,15 @@ describe("shouldFetch", () => {
     const business = createBusinessWithFetch(daysAgo(1));
     expect(shouldFetch(business, "google")).toBe(false);
   });
+
+  it("returns true while an async Apify run is unfinished", () => {
+    const business = {
+      last_fetched_google: daysAgo(1).toISOString(),
+      fetch_frequency_days: 7,
+      apify_run_google: "run1",
+    };
+    expect(shouldFetch(business, "google")).toBe(true);
+  });
 });
 
 describe("getLatestReviewDate", () => {
@@ -242,6 +274,170 @@ describe("getLatestReviewDate", () => {
       expect(result).toBe("2024-01-02");
     });
   });
+
+  it("only counts reviews from the given source", async () => {
+    await withTempDirAsync("latest-by-source", async (dir) => {
+      fs.writeFileSync(
+        path.join(dir, "facebook.json"),
+        JSON.stringify({
+          date: "2024-03-01T10:00:00.000Z",
+          source: "facebook",
+        }),
+      );
+      fs.writeFileSync(
+        path.join(dir, "trustpilot.json"),
+        JSON.stringify({
+          date: "2024-06-15T10:00:00.000Z",
+          source: "trustpilot",
+        }),
+      );
+
+      expect(getLatestReviewDate(dir, "facebook")).toBe("2024-03-02");
+      expect(getLatestReviewDate(dir, "trustpilot")).toBe("2024-06-16");
+      expect(getLatestReviewDate(dir, "yelp")).toBe(null);
+    });
+  });
+});
+
+describe("getLatestReviewDate with mixed sources", () => {
+  // One business directory holding reviews from several platforms
+  const writeMixedSourceFixture = (dir) => {
+    const reviews = {
+      "google-old.json": { date: "2024-02-01T10:00:00.000Z", source: "google" },
+      "google-new.json": { date: "2024-04-20T10:00:00.000Z", source: "google" },
+      "legacy.json": { date: "2024-03-05T10:00:00.000Z" },
+      "trustpilot.json": {
+        date: "2024-09-30T10:00:00.000Z",
+        source: "trustpilot",
+      },
+      "facebook.json": { date: "2024-07-12T10:00:00.000Z", source: "facebook" },
+    };
+    for (const [file, review] of Object.entries(reviews)) {
+      fs.writeFileSync(path.join(dir, file), JSON.stringify(review));
+    }
+  };
+
+  it("scopes the start date to each source", async () => {
+    await withTempDirAsync("mixed-sources", async (dir) => {
+      writeMixedSourceFixture(dir);
+
+      // A newer Trustpilot review doesn't move Google's start date
+      expect(getLatestReviewDate(dir, "google")).toBe("2024-04-21");
+      expect(getLatestReviewDate(dir, "facebook")).toBe("2024-07-13");
+      expect(getLatestReviewDate(dir, "trustpilot")).toBe("2024-10-01");
+      expect(getLatestReviewDate(dir)).toBe("2024-10-01");
+    });
+  });
+
+  it("counts reviews without a source as Google", async () => {
+    await withTempDirAsync("mixed-legacy", async (dir) => {
+      fs.writeFileSync(
+        path.join(dir, "legacy.json"),
+        JSON.stringify({ date: "2024-03-05T10:00:00.000Z" }),
+      );
+      expect(getLatestReviewDate(dir, "google")).toBe("2024-03-06");
+    });
+  });
+
+  it("reuses its index until files are added", async () => {
+    await withTempDirAsync("mixed-cache", async (dir) => {
+      writeMixedSourceFixture(dir);
+      expect(getLatestReviewDate(dir, "google")).toBe("2024-04-21");
+
+      // Rewriting a file in place isn't noticed: the index isn't rebuilt
+      fs.writeFileSync(
+        path.join(dir, "google-old.json"),
+        JSON.stringify({ date: "2024-12-01T10:00:00.000Z", source: "google" }),
+      );
+      expect(getLatestReviewDate(dir, "google")).toBe("2024-04-21");
+
+      // A new file is
+      fs.writeFileSync(
+        path.join(dir, "google-newest.json"),
+        JSON.stringify({ date: "2024-05-01T10:00:00.000Z", source: "google" }),
+      );
+      expect(getLatestReviewDate(dir, "google")).toBe("2024-12-02");
+    });
+  });
+});
+
+describe("isFullResyncDue", () => {
+  it("is due when the source has never had a full fetch", () => {
+    expect(isFullResyncDue({}, "facebook")).toBe(true);
+  });
+
+  it("is due once fullResyncDays have passed", () => {
+    const recent = { last_full_fetch_facebook: daysAgo(3).toISOString() };
+    const old = { last_full_fetch_facebook: daysAgo(31).toISOString() };
+    expect(isFullResyncDue(recent, "facebook")).toBe(false);
+    expect(isFullResyncDue(old, "facebook")).toBe(true);
+  });
+
+  it("honours a business's full_resync_days", () => {
+    const business = {
+      last_full_fetch_trustpilot: daysAgo(3).toISOString(),
+      full_resync_days: 2,
+    };
+    expect(isFullResyncDue(business, "trustpilot")).toBe(true);
+  });
+});
+
+describe("getFetchOptions", () => {
+  const business = {
+    number_of_reviews: -1,
+    last_full_fetch_facebook: daysAgo(1).toISOString(),
+  };
+
+  const withStoredReview = (fn) =>
+    withTempDirAsync("fetch-options", async (dir) => {
+      fs.writeFileSync(
+        path.join(dir, "review.json"),
+        JSON.stringify({
+          date: "2024-06-15T10:00:00.000Z",
+          source: "facebook",
+        }),
+      );
+      await fn(dir);
+    });
+
+  it("opens a window after the newest stored review of the source", () =>
+    withStoredReview((dir) => {
+      const options = getFetchOptions(business, dir, {
+        source: "facebook",
+        incremental: true,
+      });
+      expect(options.windowStart).toBe("2024-06-16");
+      expect(options.maxReviews).toBe(100);
+    }));
+
+  it("fetches everything for sources that aren't incremental", () =>
+    withStoredReview((dir) => {
+      const options = getFetchOptions(business, dir, { source: "facebook" });
+      expect(options.windowStart).toBeUndefined();
+      expect(options.maxReviews).toBe(9999);
+    }));
+
+  it("fetches everything when a full resync is due", () =>
+    withStoredReview((dir) => {
+      const options = getFetchOptions({ number_of_reviews: -1 }, dir, {
+        source: "facebook",
+        incremental: true,
+      });
+      expect(options.windowStart).toBeUndefined();
+    }));
+
+  it("fetches everything when nothing from the source is stored", () =>
+    withStoredReview((dir) => {
+      const options = getFetchOptions(
+        {
+          ...business,
+          last_full_fetch_trustpilot: business.last_full_fetch_facebook,
+        },
+        dir,
+        { source: "trustpilot", incremental: true },
+      );
+      expect(options.windowStart).toBeUndefined();
+    }));
 });
 
 describe("formatRating", () => {
@@ -287,6 +483,9 @@ describe("buildReviewData", () => {
       userId: "123456",
       thumbnail: "/images/thumb.webp",
       source: "google",
+      reviewId: null,
+      ownerResponse: null,
+      photos: [],
     });
   });
 
@@ -306,6 +505,155 @@ describe("buildReviewData", () => {
     expect(result.thumbnail).toBe(null);
     expect(result.source).toBe("facebook");
   });
+
+  it("stores the owner response with an ISO date", () => {
+    const review = {
+      author: "John Doe",
+      authorUrl: "",
+      rating: 5,
+      content: "Great service!",
+      date: new Date("2024-06-15T10:00:00.000Z"),
+      ownerResponse: {
+        content: "Thanks John!",
+        date: new Date("2024-06-16T09:00:00.000Z"),
+      },
+    };
+
+    const result = buildReviewData(review, null, "google");
+
+    expect(result.ownerResponse).toEqual({
+      content: "Thanks John!",
+      date: "2024-06-16T09:00:00.000Z",
+    });
+  });
+});
+
+describe("review photos", () => {
+  it("derives a stable file name from the photo URL", () => {
+    const url = "https://lh3.googleusercontent.com/geougc-cs/photo1";
+    expect(getReviewPhotoId(url)).toBe(getReviewPhotoId(url));
+    expect(getReviewPhotoId(url)).toMatch(/^[0-9a-f]{16}$/);
+    expect(getReviewPhotoId(`${url}x`)).not.toBe(getReviewPhotoId(url));
+  });
+
+  it("returns no photos when the review has none", async () => {
+    expect(await tryDownloadReviewPhotos({ imageUrls: [] })).toEqual([]);
+    expect(await tryDownloadReviewPhotos({})).toEqual([]);
+  });
+
+  it("skips photos that fail to download", async () => {
+    const photos = await tryDownloadReviewPhotos({
+      imageUrls: ["not-a-valid-url"],
+    });
+    expect(photos).toEqual([]);
+  });
+
+  it("stores photo paths in the review data", () => {
+    const photos = [
+      { url: "https://example.com/a.jpg", thumbnail: "/images/reviews/a.webp" },
+    ];
+    const review = {
+      author: "John Doe",
+      content: "Great food",
+      date: new Date("2024-06-15T10:00:00.000Z"),
+    };
+    expect(buildReviewData(review, null, "google", photos).photos).toEqual(
+      photos,
+    );
+  });
+
+  it("keeps the trip type only when the source provides one", () => {
+    const review = {
+      author: "Alex M",
+      content: "Lovely stay",
+      date: new Date("2024-06-20T00:00:00.000Z"),
+    };
+    expect(buildReviewData(review, null, "google")).not.toHaveProperty(
+      "tripType",
+    );
+    expect(
+      buildReviewData({ ...review, tripType: "couples" }, null, "tripadvisor")
+        .tripType,
+    ).toBe("couples");
+  });
+});
+
+describe("buildOwnerResponse", () => {
+  it("returns null when there is no reply text", () => {
+    expect(buildOwnerResponse(undefined, undefined)).toBe(null);
+    expect(buildOwnerResponse("   ", "2024-06-16")).toBe(null);
+  });
+
+  it("trims the text and parses the date", () => {
+    const response = buildOwnerResponse("  Thanks!  ", "2024-06-16T09:00:00Z");
+    expect(response.content).toBe("Thanks!");
+    expect(response.date.toISOString()).toBe("2024-06-16T09:00:00.000Z");
+  });
+
+  it("keeps the reply but drops a missing or invalid date", () => {
+    expect(buildOwnerResponse("Thanks!", null).date).toBe(null);
+    expect(buildOwnerResponse("Thanks!", "not a date").date).toBe(null);
+  });
+});
+
+describe("review identity", () => {
+  it("combines the source with the native review ID", () => {
+    expect(getReviewIdentity({ reviewId: "abc" }, "trustpilot")).toBe(
+      "trustpilot:abc",
+    );
+    expect(getReviewIdentity({ reviewId: null }, "google")).toBe(null);
+  });
+
+  it("adds the contributor ID for Google reviews", () => {
+    expect(
+      getIdentityKeys(
+        {
+          reviewId: "Ci9abc",
+          authorUrl: "https://www.google.com/maps/contrib/12345678901?hl=en",
+        },
+        "google",
+      ),
+    ).toEqual(["google:Ci9abc", "google-user:12345678901"]);
+  });
+
+  it("has no keys for reviews without any identity", () => {
+    expect(getIdentityKeys({ authorUrl: "" }, "facebook")).toEqual([]);
+  });
+});
+
+describe("extractFacebookPostId", () => {
+  it("reads the ID from a posts URL", () => {
+    expect(
+      extractFacebookPostId(
+        "https://www.facebook.com/jane.doe/posts/pfbid02abc",
+      ),
+    ).toBe("pfbid02abc");
+  });
+
+  it("reads the ID from a permalink URL", () => {
+    expect(
+      extractFacebookPostId(
+        "https://www.facebook.com/permalink.php?story_fbid=pfbid0xyz&id=1000",
+      ),
+    ).toBe("pfbid0xyz");
+  });
+
+  it("returns null for profile URLs and missing values", () => {
+    expect(extractFacebookPostId("https://facebook.com/jane.doe")).toBe(null);
+    expect(extractFacebookPostId(undefined)).toBe(null);
+  });
+});
+
+describe("isReviewFile", () => {
+  it("accepts review JSON files", () => {
+    expect(isReviewFile("jane-doe-2024-06-15.json")).toBe(true);
+  });
+
+  it("skips generated output in the business directory", () => {
+    expect(isReviewFile("schema.json")).toBe(false);
+    expect(isReviewFile("index.html")).toBe(false);
+    expect(isReviewFile("code.txt")).toBe(false);
+  });
 });
 
 describe("parseUrlSafe", () => {
@@ -378,6 +726,156 @@ describe("isDnsError", () => {
   });
 });
 
+describe("createPool", () => {
+  it("runs at most `limit` tasks at once and returns their results", async () => {
+    const run = createPool(2);
+    let active = 0;
+    let maxActive = 0;
+    const task = (value) => async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return value;
+    };
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map((n) => run(task(n))));
+
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    expect(maxActive).toBe(2);
+  });
+
+  it("frees the slot of a task that throws", async () => {
+    const run = createPool(1);
+    await expect(
+      run(async () => {
+        throw new Error("boom");
+      }),
+    ).rejects.toThrow("boom");
+    expect(await run(async () => "next")).toBe("next");
+  });
+});
+
+describe("parseFetcherArgs", () => {
+  it("reads an optional slug and --replay", () => {
+    expect(parseFetcherArgs([])).toEqual({
+      slug: undefined,
+      replay: false,
+      dryRun: false,
+    });
+    expect(parseFetcherArgs(["my-biz"])).toEqual({
+      slug: "my-biz",
+      replay: false,
+      dryRun: false,
+    });
+    expect(parseFetcherArgs(["--replay", "my-biz"])).toEqual({
+      slug: "my-biz",
+      replay: true,
+      dryRun: false,
+    });
+  });
+
+  it("doesn't take a --source value as the slug", () => {
+    expect(parseFetcherArgs(["--source", "google"]).slug).toBe(undefined);
+    expect(parseFetcherArgs(["", "--source", "all"]).slug).toBe("");
+  });
+
+  it("reads --dry-run", () => {
+    expect(parseFetcherArgs(["my-biz", "--dry-run", "--replay"])).toEqual({
+      slug: "my-biz",
+      replay: true,
+      dryRun: true,
+    });
+  });
+
+  it("reads the concurrency limits", () => {
+    const args = parseFetcherArgs([
+      "--concurrency",
+      "2",
+      "my-biz",
+      "--global-concurrency",
+      "10",
+    ]);
+    expect(args.slug).toBe("my-biz");
+    expect(args.concurrency).toBe(2);
+    expect(args.globalConcurrency).toBe(10);
+    expect(parseFetcherArgs([]).concurrency).toBe(undefined);
+  });
+
+  it("rejects a concurrency limit that isn't a positive whole number", () => {
+    expect(() => parseFetcherArgs(["--concurrency", "0"])).toThrow(
+      "--concurrency must be a whole number of at least 1",
+    );
+    expect(() => parseFetcherArgs(["--global-concurrency", "many"])).toThrow(
+      "--global-concurrency must be",
+    );
+  });
+});
+
+describe("isRetryableError", () => {
+  it("retries rate limiting, server errors and dropped connections", () => {
+    expect(isRetryableError({ statusCode: 429 })).toBe(true);
+    expect(isRetryableError({ statusCode: 503 })).toBe(true);
+    expect(isRetryableError({ statusCode: 408 })).toBe(true);
+    expect(isRetryableError({ code: "ECONNRESET" })).toBe(true);
+  });
+
+  it("only retries a POST that never got through", () => {
+    expect(isRetryableError({ statusCode: 429 }, "POST")).toBe(true);
+    expect(isRetryableError({ code: "ECONNREFUSED" }, "POST")).toBe(true);
+    expect(isRetryableError({ statusCode: 502 }, "POST")).toBe(false);
+    expect(isRetryableError({ code: "ECONNRESET" }, "POST")).toBe(false);
+  });
+
+  it("does not retry client errors or our own timeout", () => {
+    expect(isRetryableError({ statusCode: 400 })).toBe(false);
+    expect(isRetryableError({ statusCode: 401 })).toBe(false);
+    expect(isRetryableError({ statusCode: 404 })).toBe(false);
+    expect(isRetryableError(new Error("Request timeout"))).toBe(false);
+    expect(isRetryableError(new SyntaxError("Unexpected token"))).toBe(false);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads seconds", () => {
+    expect(parseRetryAfter("30")).toBe(30000);
+    expect(parseRetryAfter("0")).toBe(0);
+  });
+
+  it("reads HTTP dates relative to now", () => {
+    const now = Date.parse("2025-06-01T12:00:00Z");
+    expect(parseRetryAfter("Sun, 01 Jun 2025 12:00:10 GMT", now)).toBe(10000);
+    expect(parseRetryAfter("Sun, 01 Jun 2025 11:00:00 GMT", now)).toBe(0);
+  });
+
+  it("returns null when missing or unreadable", () => {
+    expect(parseRetryAfter(undefined)).toBe(null);
+    expect(parseRetryAfter("soon")).toBe(null);
+  });
+});
+
+describe("getRetryDelay", () => {
+  it("backs off exponentially with jitter", () => {
+    const low = () => 0;
+    const high = () => 1;
+    expect(getRetryDelay({}, 1, low)).toBe(1000);
+    expect(getRetryDelay({}, 1, high)).toBe(2000);
+    expect(getRetryDelay({}, 3, high)).toBe(8000);
+  });
+
+  it("caps the backoff at apiRetryMaxMs", () => {
+    expect(getRetryDelay({}, 20, () => 1)).toBe(60000);
+  });
+
+  it("waits as long as Retry-After asks", () => {
+    expect(getRetryDelay({ retryAfter: "5" }, 1)).toBe(5000);
+  });
+
+  it("gives up when Retry-After is longer than apiRetryMaxMs", () => {
+    expect(getRetryDelay({ retryAfter: "3600" }, 1)).toBe(null);
+  });
+});
+
 describe("updateLastFetched", () => {
   it("updates generic last_fetched when no source specified", () => {
     const business = { slug: "test" };
@@ -453,6 +951,42 @@ describe("deduplicateReviews", () => {
     expect(result[0].source).toBe("google");
   });
 
+  it("ranks yelp below google but above facebook", () => {
+    const yelp = makeReview({ source: "yelp" });
+    expect(
+      deduplicateReviews([yelp, makeReview({ source: "google" })])[0].source,
+    ).toBe("google");
+    expect(
+      deduplicateReviews([makeReview({ source: "facebook" }), yelp])[0].source,
+    ).toBe("yelp");
+  });
+
+  it("ranks checkatrade between google and tripadvisor", () => {
+    const checkatrade = makeReview({ source: "checkatrade" });
+    expect(
+      deduplicateReviews([checkatrade, makeReview({ source: "google" })])[0]
+        .source,
+    ).toBe("google");
+    expect(
+      deduplicateReviews([
+        makeReview({ source: "tripadvisor" }),
+        checkatrade,
+      ])[0].source,
+    ).toBe("checkatrade");
+  });
+
+  it("ranks tripadvisor between google and yelp", () => {
+    const tripadvisor = makeReview({ source: "tripadvisor" });
+    expect(
+      deduplicateReviews([tripadvisor, makeReview({ source: "google" })])[0]
+        .source,
+    ).toBe("google");
+    expect(
+      deduplicateReviews([makeReview({ source: "yelp" }), tripadvisor])[0]
+        .source,
+    ).toBe("tripadvisor");
+  });
+
   it("picks the winner regardless of input order", () => {
     const trustpilot = makeReview({ source: "trustpilot" });
     const google = makeReview({ source: "google" });
@@ -479,6 +1013,14 @@ describe("deduplicateReviews", () => {
     expect(result[0].source).toBeUndefined();
   });
 
+  it("ranks imported sources below every platform", () => {
+    const reviews = [
+      makeReview({ source: "manual" }),
+      makeReview({ source: "facebook" }),
+    ];
+    expect(deduplicateReviews(reviews)[0].source).toBe("facebook");
+  });
+
   it("matches on author + content regardless of whitespace/case", () => {
     const reviews = [
       makeReview({
@@ -507,7 +1049,11 @@ describe("deduplicateReviews", () => {
 
   it("does not collapse different reviews from the same author", () => {
     const reviews = [
-      makeReview({ author: "Alice", content: "Loved the team", source: "google" }),
+      makeReview({
+        author: "Alice",
+        content: "Loved the team",
+        source: "google",
+      }),
       makeReview({
         author: "Alice",
         content: "Came back a year later, still great",
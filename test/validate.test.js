@@ -0,0 +1,237 @@
+/**
+ * Tests for the config.json and review file schemas and the validate command
+ */
+import { describe, expect, it } from "bun:test";
+import fs from "node:fs";
+import path from "node:path";
+import { withTempDirAsync } from "#toolkit/test-utils/index.js";
+import { normalizeCheckatradeReview } from "../src/fetch-checkatrade-reviews.js";
+import { CONFIG } from "../src/lib/shared.js";
+import {
+  CONFIG_SCHEMA,
+  checkValue,
+  validateConfig,
+  validateReview,
+} from "../src/lib/validate.js";
+import {
+  validateBusinessDir,
+  validateConfigFile,
+} from "../src/scripts/validate.js";
+
+const business = (overrides = {}) => ({
+  slug: "example",
+  google_business_id: "ChIJ123",
+  number_of_reviews: -1,
+  minimum_star_rating: 0,
+  fetch_frequency_days: 7,
+  ...overrides,
+});
+
+const review = (overrides = {}) => ({
+  author: "Jane Smith",
+  authorUrl: "",
+  rating: 5,
+  content: "Great service",
+  date: "2025-03-14T00:00:00.000Z",
+  userId: null,
+  thumbnail: null,
+  source: "google",
+  reviewId: "abc",
+  ownerResponse: null,
+  photos: [],
+  ...overrides,
+});
+
+describe("checkValue", () => {
+  it("checks types, allowing any of a list", () => {
+    expect(checkValue({ type: ["string", "null"] }, null)).toEqual([]);
+    expect(checkValue({ type: "integer" }, 1.5)).toEqual([
+      "(root): should be integer, not number",
+    ]);
+  });
+
+  it("checks enums, bounds and patterns", () => {
+    expect(checkValue({ enum: ["a", "b"] }, "c", "x")).toEqual([
+      "x: should be one of a, b",
+    ]);
+    expect(checkValue({ minimum: 1, maximum: 5 }, 6, "x")).toEqual([
+      "x: should be at most 5",
+    ]);
+    expect(checkValue({ minimum: 1, maximum: 5 }, 0, "x")).toEqual([
+      "x: should be at least 1",
+    ]);
+    expect(checkValue({ pattern: "^a" }, "ba", "x")).toEqual([
+      'x: "ba" doesn\'t match ^a',
+    ]);
+  });
+
+  it("paths into nested objects and arrays", () => {
+    const schema = {
+      type: "array",
+      items: { type: "object", properties: { n: { type: "number" } } },
+    };
+    expect(checkValue(schema, [{ n: 1 }, { n: "2" }])).toEqual([
+      "[1].n: should be number, not string",
+    ]);
+  });
+});
+
+describe("validateConfig", () => {
+  it("accepts the documented fields", () => {
+    expect(
+      validateConfig([
+        business({
+          facebook_page_url: "https://www.facebook.com/Example",
+          trustpilot_url: null,
+          show_summary: true,
+          theme: { accent_color: "#0b7a75", font_size: 16, shadow: false },
+          color_scheme: "auto",
+          last_fetched_google: "2025-01-01 00:00:00",
+          last_full_fetch_facebook: "2025-01-01 00:00:00",
+          apify_run_google: "run-1",
+          apify_run_full_google: false,
+        }),
+      ]),
+    ).toEqual([]);
+  });
+
+  it("accepts the legacy source and last_fetched fields", () => {
+    expect(
+      validateConfig([
+        business({ source: "google", last_fetched: "2026-01-16 10:34:35" }),
+      ]),
+    ).toEqual([]);
+  });
+
+  it("reports misspelt keys with a suggestion", () => {
+    const { minimum_star_rating, ...rest } = business();
+    expect(validateConfig([{ ...rest, minimum_star_ratng: 3 }])).toEqual([
+      "example.minimum_star_rating: is required",
+      'example.minimum_star_ratng: unknown key (did you mean "minimum_star_rating"?)',
+    ]);
+  });
+
+  it("reports bad values and duplicate slugs", () => {
+    expect(
+      validateConfig([
+        business({ color_scheme: "sepia" }),
+        business({ theme: { shadow: "none" } }),
+      ]),
+    ).toEqual([
+      "example.color_scheme: should be one of light, dark, auto",
+      "example: duplicate slug",
+      "example.theme.shadow: should be boolean, not string",
+    ]);
+  });
+
+  it("only accepts a font size in pixels", () => {
+    expect(
+      validateConfig([business({ theme: { font_size: "16px" } })]),
+    ).toEqual([]);
+    expect(
+      validateConfig([business({ theme: { font_size: "1.1rem" } })]),
+    ).toEqual([
+      'example.theme.font_size: "1.1rem" doesn\'t match ^\\d+(\\.\\d+)?(px)?$',
+    ]);
+  });
+
+  it("labels businesses without a slug by position", () => {
+    const { slug, ...rest } = business();
+    expect(validateConfig([rest])).toEqual(["[0].slug: is required"]);
+  });
+
+  it("expects an array of businesses", () => {
+    expect(validateConfig({})).toEqual(["(root): should be array, not object"]);
+    expect(CONFIG_SCHEMA.items.required).toContain("slug");
+  });
+
+  it("accepts the repo's config.json", () => {
+    const config = JSON.parse(fs.readFileSync(CONFIG.configPath, "utf8"));
+    expect(validateConfig(config)).toEqual([]);
+  });
+});
+
+describe("validateReview", () => {
+  it("accepts reviews as saveReview writes them", () => {
+    expect(
+      validateReview(
+        review({
+          ownerResponse: { content: "Thanks!", date: null },
+          photos: [{ url: "https://example.com/a.jpg", thumbnail: null }],
+          subRatings: { workmanship: 5 },
+          editHistory: [
+            {
+              content: "Good",
+              rating: 4,
+              replacedAt: "2025-04-01T09:00:00.000Z",
+            },
+          ],
+          removed: true,
+          removedAt: "2025-05-01T09:00:00.000Z",
+        }),
+      ),
+    ).toEqual([]);
+  });
+
+  it("accepts Checkatrade ratings as the fetcher normalises them", () => {
+    for (const score of [1, 0, undefined]) {
+      const { rating } = normalizeCheckatradeReview({ score });
+      expect(validateReview(review({ source: "checkatrade", rating }))).toEqual(
+        [],
+      );
+    }
+  });
+
+  it("accepts files saved before sources and IDs were stored", () => {
+    expect(
+      validateReview({
+        author: "Sam",
+        authorUrl: "https://www.google.com/maps/contrib/123",
+        rating: 4,
+        content: null,
+        date: "2023-01-01T00:00:00.000Z",
+      }),
+    ).toEqual([]);
+  });
+
+  it("reports missing fields, bad ratings and dates", () => {
+    const { author, ...rest } = review({ rating: 6, date: "last week" });
+    expect(validateReview(rest)).toEqual([
+      "author: is required",
+      "rating: should be at most 5",
+      expect.stringMatching(/^date: "last week" doesn't match/),
+    ]);
+  });
+});
+
+describe("validate command", () => {
+  it("reports each bad file with its path", async () => {
+    await withTempDirAsync("validate-dir", async (dir) => {
+      const write = (file, content) =>
+        fs.writeFileSync(path.join(dir, file), content);
+      write("good-2025-03-14.json", JSON.stringify(review()));
+      write("bad-2025-03-14.json", JSON.stringify(review({ rating: "5" })));
+      write("broken-2025-03-14.json", "{ not json");
+      write("schema.json", "{}");
+
+      const errors = validateBusinessDir(dir);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toBe(
+        `${path.join(dir, "bad-2025-03-14.json")}: rating: should be number, not string`,
+      );
+      expect(errors[1]).toMatch(
+        new RegExp(`^${path.join(dir, "broken-2025-03-14.json")}: `),
+      );
+    });
+  });
+
+  it("reports problems in config.json", async () => {
+    await withTempDirAsync("validate-config", async (dir) => {
+      const configPath = path.join(dir, "config.json");
+      fs.writeFileSync(configPath, JSON.stringify([business({ slug: "A" })]));
+      expect(validateConfigFile(configPath)).toEqual([
+        `${configPath}: A.slug: "A" doesn't match ^[a-z0-9][a-z0-9-]*$`,
+      ]);
+    });
+  });
+});